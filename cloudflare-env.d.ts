@@ -1,5 +1,10 @@
-/* eslint-disable @typescript-eslint/no-empty-interface */
 // Generated by Wrangler
 // by running `wrangler types --env-interface CloudflareEnv cloudflare-env.d.ts`
 
-interface CloudflareEnv {}
+interface CloudflareEnv {
+	SYNC_LINKS: KVNamespace;
+	SYNC_DEAD_LETTERS: KVNamespace;
+	SYNC_EVENTS: KVNamespace;
+	SYNC_QUEUE: Queue;
+	SYNC_DEBOUNCER: DurableObjectNamespace;
+}
@@ -0,0 +1,22 @@
+// `.open-next/worker.js` is generated by `opennextjs-cloudflare build`. Not @ts-expect-error: the import resolves once built
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { default as handler } from './.open-next/worker.js';
+// Generated alongside the worker; sets up process.env and the Cloudflare context
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { runWithCloudflareRequestContext } from './.open-next/cloudflare/init.js';
+import { consumeSyncBatch } from './src/lib/sync-queue';
+import type { SyncJob } from './src/lib/sync-page';
+
+export { PageSyncDebouncer } from './src/lib/page-sync-debouncer';
+
+export default {
+  fetch: handler.fetch,
+
+  async queue(batch: MessageBatch<SyncJob>, env: CloudflareEnv, ctx: ExecutionContext) {
+    // Queue events carry no request, but the OpenNext context only needs a URL to initialise
+    const request = new Request('https://queue.internal/');
+    await runWithCloudflareRequestContext(request, env, ctx, () => consumeSyncBatch(batch));
+  }
+} satisfies ExportedHandler<CloudflareEnv, SyncJob>;
@@ -0,0 +1,29 @@
+/**
+ * Checks the field mapping against the live Notion database and Webflow collection schemas.
+ *
+ *   npm run sync:validate -- [--json] [--database <id>]
+ *
+ * Reads the same env vars as the app (NOTION_TOKEN, WEBFLOW_SITE_API_TOKEN, SYNC_ROUTES or
+ * WEBFLOW_COLLECTION_ID, NOTION_DATABASE_ID, NOTION_FIELD_MAPPING). Exits 1 when the mapping has errors.
+ */
+import { formatValidationReport, runMappingValidation } from '@/lib/mapping-validation';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const databaseFlag = args.indexOf('--database');
+  const databaseId = databaseFlag >= 0 ? args[databaseFlag + 1] : process.env.NOTION_DATABASE_ID;
+  if (!databaseId) {
+    console.error('No --database given and NOTION_DATABASE_ID not set');
+    process.exit(2);
+  }
+
+  const report = await runMappingValidation(databaseId);
+  process.stdout.write(`${json ? JSON.stringify(report, null, 2) : formatValidationReport(report)}\n`);
+  process.exit(report.ok ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('mapping validation failed', err);
+  process.exit(2);
+});
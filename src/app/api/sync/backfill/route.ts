@@ -0,0 +1,67 @@
+import { checkAdminRequest } from '@/lib/admin-auth';
+import { applyBackfill, MAX_BACKFILL_LIMIT, parseBackfillCursor, planBackfill } from '@/lib/backfill';
+import { findSyncRoute } from '@/lib/sync-routes';
+
+type BackfillRequestBody = {
+  databaseId?: string;
+  dryRun?: boolean;
+  // `nextCursor` from the previous response
+  cursor?: string | null;
+  limit?: number;
+};
+
+export async function POST(req: Request) {
+  console.log('backfill POST invoked');
+  const denied = checkAdminRequest(req);
+  if (denied) return denied;
+
+  let body: BackfillRequestBody = {};
+  const rawBody = await req.text();
+  if (rawBody) {
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return new Response('Malformed JSON body', { status: 400 });
+    }
+  }
+
+  const url = new URL(req.url);
+  const dryRun = body.dryRun ?? url.searchParams.get('dryRun') === 'true';
+  const databaseId = body.databaseId || process.env.NOTION_DATABASE_ID;
+  if (!databaseId) {
+    return new Response('No databaseId given and NOTION_DATABASE_ID not set', { status: 400 });
+  }
+  const route = findSyncRoute(databaseId);
+  if (!route) {
+    return new Response(`No sync route for database ${databaseId}`, { status: 404 });
+  }
+  if (route.locale) {
+    return new Response(`Database ${databaseId} holds locale ${route.locale.cmsLocaleId}; backfill its primary database`, {
+      status: 400
+    });
+  }
+
+  const cursor = body.cursor ?? undefined;
+  const { limit } = body;
+  if (cursor !== undefined && (typeof cursor !== 'string' || !parseBackfillCursor(cursor))) {
+    return new Response('Invalid cursor', { status: 400 });
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_BACKFILL_LIMIT)) {
+    return new Response(`limit must be a whole number from 1 to ${MAX_BACKFILL_LIMIT}`, { status: 400 });
+  }
+
+  let plan;
+  try {
+    plan = await planBackfill(databaseId, route, { cursor, limit });
+  } catch (err) {
+    console.error('backfill plan failed', err);
+    return new Response('Failed to build backfill plan', { status: 502 });
+  }
+  console.log('backfill plan', { databaseId, dryRun, cursor, summary: plan.summary, nextCursor: plan.nextCursor });
+  if (dryRun) {
+    return new Response(JSON.stringify({ success: true, dryRun, ...plan }));
+  }
+
+  const queued = await applyBackfill(plan);
+  return new Response(JSON.stringify({ success: true, dryRun, queued, ...plan }), { status: 202 });
+}
@@ -0,0 +1,51 @@
+import { checkAdminRequest } from '@/lib/admin-auth';
+import { pickFields } from '@/lib/field-diff';
+import { getConflictStore, recordSyncSnapshot, settleNotionValues } from '@/lib/sync-conflicts';
+import { enqueueSyncJob } from '@/lib/sync-queue';
+
+type ResolveRequestBody = {
+  itemId?: string;
+  keep?: 'notion' | 'webflow';
+};
+
+export async function GET(req: Request) {
+  console.log('conflicts GET invoked');
+  const denied = checkAdminRequest(req);
+  if (denied) return denied;
+
+  const conflicts = await getConflictStore().list();
+  return new Response(JSON.stringify({ success: true, conflicts }));
+}
+
+export async function POST(req: Request) {
+  console.log('conflicts POST invoked');
+  const denied = checkAdminRequest(req);
+  if (denied) return denied;
+
+  let body: ResolveRequestBody;
+  try {
+    body = JSON.parse(await req.text());
+  } catch {
+    return new Response('Malformed JSON body', { status: 400 });
+  }
+  if (!body?.itemId || (body.keep !== 'notion' && body.keep !== 'webflow')) {
+    return new Response('Body needs an "itemId" and "keep": "notion" or "webflow"', { status: 400 });
+  }
+
+  const store = getConflictStore();
+  const conflict = await store.get(body.itemId);
+  if (!conflict) return new Response(`No held conflict for item ${body.itemId}`, { status: 404 });
+
+  const fields = conflict.diff.map(entry => entry.field);
+  if (body.keep === 'notion') {
+    // Sync the page again with the Notion values overriding the held fields
+    await enqueueSyncJob({ pageId: conflict.pageId, eventType: 'conflict.resolved', conflictPolicy: 'notion-wins' });
+  } else {
+    // The Webflow values become the synced state; only a later Notion edit overwrites them
+    await settleNotionValues(conflict.itemId, pickFields(conflict.notion, fields));
+    await recordSyncSnapshot(conflict.itemId, { lastUpdated: conflict.webflowUpdatedAt, fieldData: conflict.webflow });
+  }
+  await store.delete(conflict.itemId);
+  console.log('conflict resolved', { itemId: conflict.itemId, pageId: conflict.pageId, keep: body.keep, fields });
+  return new Response(JSON.stringify({ success: true, itemId: conflict.itemId, pageId: conflict.pageId, keep: body.keep, fields }));
+}
@@ -0,0 +1,31 @@
+import { checkAdminRequest } from '@/lib/admin-auth';
+import { formatValidationReport, runMappingValidation } from '@/lib/mapping-validation';
+import { findSyncRoute } from '@/lib/sync-routes';
+
+export async function GET(req: Request) {
+  console.log('validate GET invoked');
+  const denied = checkAdminRequest(req);
+  if (denied) return denied;
+
+  const url = new URL(req.url);
+  const databaseId = url.searchParams.get('databaseId') || process.env.NOTION_DATABASE_ID;
+  if (!databaseId) {
+    return new Response('No databaseId given and NOTION_DATABASE_ID not set', { status: 400 });
+  }
+  if (!findSyncRoute(databaseId)) {
+    return new Response(`No sync route for database ${databaseId}`, { status: 404 });
+  }
+
+  let report;
+  try {
+    report = await runMappingValidation(databaseId);
+  } catch (err) {
+    console.error('mapping validation failed', err);
+    return new Response('Failed to load Notion or Webflow schema', { status: 502 });
+  }
+  console.log('mapping validation', { databaseId, ok: report.ok, issues: report.issues.length });
+  if (url.searchParams.get('format') === 'text') {
+    return new Response(formatValidationReport(report), { headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+  }
+  return new Response(JSON.stringify({ success: true, ...report }));
+}
@@ -0,0 +1,37 @@
+import { isRetryableError } from '@/lib/http-retry';
+import { authenticateWebflowWebhook, webflowWebhookAuthOptionsFromEnv } from '@/lib/webflow-webhook-auth';
+import { handleWebflowEvent, type WebflowWebhookEvent } from '@/lib/webflow-writeback';
+
+const HANDLED_TRIGGERS = ['collection_item_changed', 'collection_item_created', 'collection_item_deleted'];
+
+export async function POST(req: Request) {
+  console.log('webflow webhook POST invoked');
+  const rawBody = await req.text();
+  const auth = authenticateWebflowWebhook(
+    rawBody,
+    { timestamp: req.headers.get('x-webflow-timestamp'), signature: req.headers.get('x-webflow-signature') },
+    webflowWebhookAuthOptionsFromEnv()
+  );
+  if (auth.handled) return auth.response;
+
+  const event = auth.body as WebflowWebhookEvent;
+  console.log('webflow webhook summary:', {
+    triggerType: event.triggerType,
+    itemId: event.payload?.id,
+    collectionId: event.payload?.collectionId
+  });
+  if (!event.triggerType || !HANDLED_TRIGGERS.includes(event.triggerType)) {
+    return new Response(JSON.stringify({ success: true, action: 'skipped' }));
+  }
+
+  try {
+    const result = await handleWebflowEvent(event);
+    console.log('webflow writeback result', result);
+    return new Response(JSON.stringify({ success: true, ...result }));
+  } catch (err) {
+    console.error('webflow writeback failed', err);
+    // Webflow redelivers on a non-2xx response, which is only worth it for transient failures
+    const status = isRetryableError(err) ? 503 : 500;
+    return new Response('Failed to write back to Notion', { status });
+  }
+}
@@ -1,185 +1,74 @@
-import { createHmac, timingSafeEqual } from 'crypto';
-type NotionRichText = { plain_text?: string };
-type NotionProperties = {
-  Name: { title: NotionRichText[] };
-  Slug?: { rich_text: NotionRichText[] };
-  Content?: { rich_text: NotionRichText[] };
+import { scheduleSyncJob } from '@/lib/sync-debounce';
+import { eventTtlSeconds, getEventLedger, isStaleEvent } from '@/lib/event-ledger';
+import { authenticateNotionWebhook, notionWebhookAuthOptionsFromEnv } from '@/lib/notion-webhook-auth';
+import { isWritebackEcho } from '@/lib/webflow-writeback';
+
+// The envelope only identifies the event and the page; the sync reads the page itself from the API
+type NotionWebhookBody = {
+  id?: string;
+  type?: string;
+  timestamp?: string;
+  attempt_number?: number;
+  entity?: { id?: string; type?: string };
+  authors?: { id?: string; type?: string }[];
+  // Page events name the database the page sits in, which routes the job once the page is deleted
+  data?: { parent?: { id?: string; type?: string } };
 };
-// type NotionWebhookBody = {
-//   pageId?: string;
-//   properties?: NotionProperties;
-//   verification_token?: string;
-//   // Fields commonly present in Notion webhook envelopes (for logging/troubleshooting)
-//   id?: string;
-//   type?: string;
-//   entity?: unknown;
-//   data?: unknown;
-// };
-type NotionData = { id: string; title?: string; slug?: string; content?: string };
-
-type WebflowItem = { _id: string };
-type WebflowListResponse = { items?: WebflowItem[] };
-
-const NOTION_WEBHOOK_VERIFICATION_TOKEN = process.env.NOTION_WEBHOOK_VERIFICATION_TOKEN || '';
-const NOTION_TOKEN = process.env.NOTION_TOKEN || '';
-
-function calculateNotionSignature(rawBody: string, verificationToken: string): string {
-  return `sha256=${createHmac('sha256', verificationToken).update(rawBody).digest('hex')}`;
-}
-
-function isValidSignature(rawBody: string, headerSignature: string | null, verificationToken: string): boolean {
-  if (!headerSignature || !verificationToken) return false;
-  const calc = calculateNotionSignature(rawBody, verificationToken);
-  const a = Buffer.from(calc);
-  const b = Buffer.from(headerSignature);
-  if (a.length !== b.length) return false;
-  return timingSafeEqual(a, b);
-}
 
 export async function POST(req: Request) {
   console.log('webhook POST invoked');
   const rawBody = await req.text();
-  console.log('webhook raw body:', rawBody);
-  const body = JSON.parse(rawBody);
+  const auth = authenticateNotionWebhook(rawBody, req.headers.get('x-notion-signature'), notionWebhookAuthOptionsFromEnv());
+  if (auth.handled) return auth.response;
+
+  const body = auth.body as NotionWebhookBody;
   const type = body.type;
   const pageId = body.entity?.id;
+  const eventId = body.id;
   console.log('webhook envelope summary:', {
     type,
     pageId,
+    eventId,
+    attemptNumber: body.attempt_number,
   });
 
-  if (type === 'page.content_updated') {
-    fetch(`https://api.notion.com/v1/pages/${pageId}`, {
-    method: 'GET',
-    headers: {
-        'Authorization': `Bearer ${NOTION_TOKEN}`,
-        'Notion-Version': '2022-06-28',
-        'Content-Type': 'application/json'
-    }
-    })
-    .then(res => res.json())
-    .then(data => {
-    console.log('Page Metadata:', data);
-    })
-    .catch(err => {
-    console.error('Error:', err);
-    });
-
-  } else {
-    console.log('webhook skip');
+  if (!pageId || body.entity?.type !== 'page') {
+    console.log('webhook skip: event is not about a page', { type, entityType: body.entity?.type });
+    return new Response(JSON.stringify({ success: true, action: 'skipped' }));
   }
 
-  const headerSignature = req.headers.get('x-notion-signature');
-  const verificationEnabled = Boolean(NOTION_WEBHOOK_VERIFICATION_TOKEN);
-
-  // Handle initial subscription verification POST
-  if (!headerSignature && body?.verification_token) {
-    // If a token is configured, ensure it matches the incoming token
-    if (NOTION_WEBHOOK_VERIFICATION_TOKEN && body.verification_token !== NOTION_WEBHOOK_VERIFICATION_TOKEN) {
-      return new Response('Verification token mismatch', { status: 401 });
-    }
-    return new Response(JSON.stringify({ success: true }));
+  if (await isWritebackEcho(body.authors)) {
+    console.log('webhook skip: change was written back from Webflow', { eventId, pageId });
+    return new Response(JSON.stringify({ success: true, action: 'skipped', eventId }));
   }
 
-  // For subsequent calls, validate signature
-  if (verificationEnabled) {
-    if (!isValidSignature(rawBody, headerSignature, NOTION_WEBHOOK_VERIFICATION_TOKEN)) {
-      return new Response('Invalid signature', { status: 401 });
+  const ledger = getEventLedger();
+  if (eventId) {
+    const seen = await ledger.getSeen(eventId);
+    if (seen) {
+      console.log('webhook skip: duplicate delivery', { eventId, attemptNumber: body.attempt_number, firstAttempt: seen.attemptNumber });
+      return new Response(JSON.stringify({ success: true, duplicate: true, eventId }));
     }
-  } else {
-    console.log('Skipping Notion signature validation (NOTION_WEBHOOK_VERIFICATION_TOKEN not set)');
   }
 
-  const notionData = {
-    id: body.pageId as string,
-    title: body.properties?.Name.title[0]?.plain_text,
-    slug: body.properties?.Slug?.rich_text[0]?.plain_text,
-    content: body.properties?.Content?.rich_text[0]?.plain_text
-  };
-  console.log('derived notionData:', notionData);
-
-  // Forward to Webflow
-  if (!notionData.slug || !notionData.title) {
-    console.log('webflow skip: missing required fields', {
-      hasSlug: Boolean(notionData.slug),
-      hasTitle: Boolean(notionData.title),
-    });
+  if (isStaleEvent(body.timestamp, await ledger.getLastApplied(pageId))) {
+    console.log('webhook skip: older than last applied event', { eventId, pageId, timestamp: body.timestamp });
+    return new Response(JSON.stringify({ success: true, stale: true, eventId }));
   }
 
-  const webflowResponse = await updateOrCreateWebflowItem(notionData);
-
-  return new Response(JSON.stringify({ success: true, webflowResponse }));
-}
-
-const WEBFLOW_API_TOKEN = process.env.WEBFLOW_SITE_API_TOKEN;
-const COLLECTION_ID = process.env.WEBFLOW_COLLECTION_ID;
-
-async function updateOrCreateWebflowItem(notionData: NotionData) {
-  const { slug, title, content } = notionData;
-
-  // First: Try to find existing item by slug (or a custom field)
-  console.log('webflow find by slug start', { slug });
-  const existing = (await fetch(
-    `https://api.webflow.com/v2/collections/${COLLECTION_ID}/items?slug=${slug}`,
-    {
-      headers: {
-        Authorization: `Bearer ${WEBFLOW_API_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    }
-  ).then(async res => {
-    const json = await res.json().catch(() => ({}));
-    console.log('webflow find by slug result', { status: res.status, ok: res.ok, json });
-    return json;
-  })) as WebflowListResponse;
-
-  if (existing && Array.isArray(existing.items) && existing.items.length > 0) {
-    const itemId = existing.items[0]._id;
+  // The sync runs on the queue consumer so Webflow and Notion calls can be retried
+  const { delayMs } = await scheduleSyncJob({
+    pageId,
+    eventType: type,
+    eventId,
+    eventTimestamp: body.timestamp,
+    databaseId: body.data?.parent?.type === 'database' ? body.data.parent.id : undefined
+  });
 
-    // Update item
-    console.log('webflow update start', { itemId, title, slug, hasContent: Boolean(content) });
-    return await fetch(`https://api.webflow.com/v2/collections/${COLLECTION_ID}/items/${itemId}`, {
-      method: 'PATCH',
-      headers: {
-        Authorization: `Bearer ${WEBFLOW_API_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        isArchived: false,
-        isDraft: false,
-        fieldData: {
-          name: title,
-          slug,
-          content
-        }
-      })
-    }).then(async res => {
-      const json = await res.json().catch(() => ({}));
-      console.log('webflow update result', { status: res.status, ok: res.ok, json });
-      return json;
-    });
+  // Only remember the event once it is safely scheduled, so a failed enqueue is retried by Notion
+  if (eventId) {
+    await ledger.markSeen(eventId, { attemptNumber: body.attempt_number, receivedAt: new Date().toISOString() }, eventTtlSeconds());
   }
 
-  // Create new item
-  console.log('webflow create start', { title, slug, hasContent: Boolean(content) });
-  return await fetch(`https://api.webflow.com/v2/collections/${COLLECTION_ID}/items`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${WEBFLOW_API_TOKEN}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      isArchived: false,
-      isDraft: false,
-      fieldData: {
-        name: title,
-        slug,
-        content
-      }
-    })
-  }).then(async res => {
-    const json = await res.json().catch(() => ({}));
-    console.log('webflow create result', { status: res.status, ok: res.ok, json });
-    return json;
-  });
-}
\ No newline at end of file
+  return new Response(JSON.stringify({ success: true, queued: true, pageId, eventId, delayMs }), { status: 202 });
+}
@@ -0,0 +1,17 @@
+import { timingSafeEqual } from 'crypto';
+
+// Admin routes take `Authorization: Bearer <SYNC_ADMIN_TOKEN>`; they stay closed while the token is unset
+export function checkAdminRequest(req: Request): Response | null {
+  const adminToken = process.env.SYNC_ADMIN_TOKEN || '';
+  if (!adminToken) {
+    console.error('admin request rejected: SYNC_ADMIN_TOKEN not set');
+    return new Response('Admin access is not configured', { status: 503 });
+  }
+  const header = req.headers.get('authorization') ?? '';
+  const a = Buffer.from(header);
+  const b = Buffer.from(`Bearer ${adminToken}`);
+  if (a.length !== b.length || !timingSafeEqual(a, b)) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+  return null;
+}
@@ -0,0 +1,144 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { applyBackfill, parseBackfillCursor, planBackfill } from '@/lib/backfill';
+import { getItemLinkStore } from '@/lib/item-links';
+import { syncNotionPage } from '@/lib/sync-page';
+import { enqueueSyncJob } from '@/lib/sync-queue';
+import type { SyncRoute } from '@/lib/sync-routes';
+
+vi.mock('@/lib/sync-queue', () => ({ enqueueSyncJob: vi.fn(async () => {}) }));
+
+const DATABASE_ID = 'db111111111111111111111111111111';
+
+const route: SyncRoute = {
+  databaseId: DATABASE_ID,
+  collectionId: 'col',
+  mapping: { fields: [{ notion: 'Name', type: 'title', webflow: 'name' }], notionIdField: 'notion-id' }
+};
+
+const item = (id: string, pageId: string) => ({ id, fieldData: { name: id, slug: id, 'notion-id': pageId } });
+
+// Webflow serves the collection by offset; Notion knows one live page, one trashed and one moved elsewhere
+function serve(items: ReturnType<typeof item>[]) {
+  vi.stubGlobal('fetch', async (input: RequestInfo | URL) => {
+    const url = new URL(String(input));
+    if (url.hostname === 'api.webflow.com') {
+      const offset = Number(url.searchParams.get('offset'));
+      const limit = Number(url.searchParams.get('limit'));
+      return new Response(JSON.stringify({ items: items.slice(offset, offset + limit) }));
+    }
+    const pageId = url.pathname.split('/').pop();
+    const parent = { database_id: pageId === 'page-moved' ? 'db222222222222222222222222222222' : DATABASE_ID };
+    if (pageId === 'page-live' || pageId === 'page-moved') return new Response(JSON.stringify({ id: pageId, parent, properties: {} }));
+    if (pageId === 'page-trashed') return new Response(JSON.stringify({ id: pageId, parent, in_trash: true, properties: {} }));
+    return new Response(JSON.stringify({ object: 'error', code: 'object_not_found' }), { status: 404 });
+  });
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.unstubAllEnvs();
+});
+
+describe('parseBackfillCursor', () => {
+  it('reads both phases and rejects anything else', () => {
+    expect(parseBackfillCursor(undefined)).toEqual({ phase: 'pages' });
+    expect(parseBackfillCursor('pages:abc-123')).toEqual({ phase: 'pages', notionCursor: 'abc-123' });
+    expect(parseBackfillCursor('items:200')).toEqual({ phase: 'items', offset: 200 });
+    expect(parseBackfillCursor('items:-1')).toBeNull();
+    expect(parseBackfillCursor('items:')).toBeNull();
+    expect(parseBackfillCursor('pages:')).toBeNull();
+    expect(parseBackfillCursor('abc')).toBeNull();
+  });
+});
+
+describe('planBackfill pages pass', () => {
+  it('looks up only the items for the pages in this part', async () => {
+    const slugRoute: SyncRoute = {
+      ...route,
+      mapping: {
+        ...route.mapping,
+        fields: [...route.mapping.fields, { notion: 'Name', type: 'title', webflow: 'slug', transform: 'slugify' }]
+      }
+    };
+    const title = (name: string) => ({ Name: { type: 'title', title: [{ plain_text: name }] } });
+    await getItemLinkStore().setItemId('page-linked', 'item-linked');
+    const requests: string[] = [];
+    vi.stubGlobal('fetch', async (input: RequestInfo | URL) => {
+      const url = new URL(String(input));
+      if (url.hostname !== 'api.webflow.com') {
+        const pages = [
+          { id: 'page-linked', parent: { database_id: DATABASE_ID }, properties: title('Roadmap') },
+          { id: 'page-new', parent: { database_id: DATABASE_ID }, properties: title('Pricing') }
+        ];
+        return new Response(JSON.stringify({ results: pages, has_more: false }));
+      }
+      // The collection schema, read once for rich text fields
+      if (url.pathname === '/v2/collections/col') return new Response(JSON.stringify({ id: 'col', fields: [] }));
+      requests.push(`${url.pathname}${url.search}`);
+      if (url.pathname.endsWith('/item-linked')) return new Response(JSON.stringify(item('item-linked', 'page-linked')));
+      return new Response(JSON.stringify({ items: [] }));
+    });
+
+    const plan = await planBackfill(DATABASE_ID, slugRoute);
+    expect(plan.entries.map(entry => [entry.pageId, entry.action])).toEqual([
+      ['page-linked', 'update'],
+      ['page-new', 'create']
+    ]);
+    expect(requests).toEqual(['/v2/collections/col/items/item-linked', '/v2/collections/col/items?offset=0&limit=100&slug=pricing']);
+  });
+});
+
+describe('planBackfill archive pass', () => {
+  it('walks the collection a page at a time and archives items whose page is gone', async () => {
+    serve([item('item-1', 'page-live'), item('item-2', 'page-trashed'), item('item-3', 'page-deleted'), item('item-4', 'page-moved')]);
+
+    const first = await planBackfill(DATABASE_ID, route, { cursor: 'items:0', limit: 2 });
+    expect(first.entries).toEqual([{ action: 'archive', pageId: 'page-trashed', itemId: 'item-2', slug: 'item-2' }]);
+    expect(first.nextCursor).toBe('items:2');
+
+    const second = await planBackfill(DATABASE_ID, route, { cursor: first.nextCursor!, limit: 2 });
+    expect(second.entries.map(entry => entry.itemId)).toEqual(['item-3', 'item-4']);
+    expect(second.summary.archive).toBe(2);
+
+    const last = await planBackfill(DATABASE_ID, route, { cursor: second.nextCursor!, limit: 2 });
+    expect(last).toMatchObject({ entries: [], nextCursor: null });
+  });
+});
+
+describe('archiving a page that moved to another database', () => {
+  const MOVED_TO = 'db222222222222222222222222222222';
+
+  it('archives the planned item in the collection the page left', async () => {
+    const routes = {
+      [DATABASE_ID]: { collectionId: 'col', mapping: route.mapping },
+      [MOVED_TO]: { collectionId: 'col-other', mapping: route.mapping }
+    };
+    vi.stubEnv('SYNC_ROUTES', JSON.stringify(routes));
+    // Synced into the other collection since the move
+    await getItemLinkStore().setItemId('page-moved', 'item-other');
+    const requests: string[] = [];
+    vi.stubGlobal('fetch', async (input: RequestInfo | URL, init?: RequestInit) => {
+      const url = new URL(String(input));
+      if (url.hostname === 'api.webflow.com') {
+        requests.push(`${init?.method ?? 'GET'} ${url.pathname}`);
+        return new Response(JSON.stringify(item('item-4', 'page-moved')));
+      }
+      return new Response(JSON.stringify({ id: 'page-moved', parent: { database_id: MOVED_TO }, properties: {} }));
+    });
+
+    await applyBackfill({
+      databaseId: DATABASE_ID,
+      collectionId: 'col',
+      entries: [{ action: 'archive', pageId: 'page-moved', itemId: 'item-4' }],
+      summary: { create: 0, update: 0, archive: 1, unchanged: 0, invalid: 0 },
+      nextCursor: null
+    });
+    const job = vi.mocked(enqueueSyncJob).mock.calls[0][0];
+    expect(job).toEqual({ pageId: 'page-moved', eventType: 'page.deleted', databaseId: DATABASE_ID, itemId: 'item-4' });
+
+    const result = await syncNotionPage(job);
+    expect(result.action).toBe('archived');
+    expect(requests).toEqual(['GET /v2/collections/col/items/item-4', 'PATCH /v2/collections/col/items/item-4']);
+    expect(await getItemLinkStore().getItemId('page-moved')).toBe('item-other');
+  });
+});
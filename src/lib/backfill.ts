@@ -0,0 +1,152 @@
+import { diffFieldData, getFieldHashStore } from '@/lib/field-diff';
+import { expandTruncatedProperties, fetchNotionPage, isNotionPageRemoved, queryNotionDatabasePage } from '@/lib/notion-pages';
+import { UnknownOptionError, type UnknownOption } from '@/lib/option-fields';
+import { resolveWorkflowState } from '@/lib/publishing';
+import { buildNotionData } from '@/lib/sync-page';
+import { enqueueSyncJob } from '@/lib/sync-queue';
+import { normalizeNotionId, type SyncRoute } from '@/lib/sync-routes';
+import { listWebflowItemsPage, lookupWebflowItem } from '@/lib/webflow-items';
+
+export type BackfillAction = 'create' | 'update' | 'archive' | 'unchanged' | 'invalid';
+
+export type BackfillPlanEntry = {
+  action: BackfillAction;
+  pageId: string;
+  itemId?: string;
+  slug?: string;
+  changedFields?: string[];
+  unknownOptions?: UnknownOption[];
+  error?: string;
+};
+
+export type BackfillPlan = {
+  databaseId: string;
+  collectionId: string;
+  entries: BackfillPlanEntry[];
+  summary: Record<BackfillAction, number>;
+  // Pass back as `cursor` for the next part of the plan; null once the whole database has been planned
+  nextCursor: string | null;
+};
+
+export type BackfillPageOptions = { cursor?: string; limit?: number };
+
+export const DEFAULT_BACKFILL_LIMIT = 50;
+// One Notion query page, and one Webflow list page in the archive pass
+export const MAX_BACKFILL_LIMIT = 100;
+
+// `pages:<notion cursor>` walks the database, then `items:<offset>` walks the collection for archived pages
+type BackfillCursor = { phase: 'pages'; notionCursor?: string } | { phase: 'items'; offset: number };
+
+export function parseBackfillCursor(cursor: string | undefined): BackfillCursor | null {
+  if (!cursor) return { phase: 'pages' };
+  const separator = cursor.indexOf(':');
+  const phase = cursor.slice(0, separator);
+  const position = separator === -1 ? '' : cursor.slice(separator + 1);
+  if (phase === 'pages' && position) return { phase, notionCursor: position };
+  const offset = Number(position);
+  if (phase === 'items' && position && Number.isInteger(offset) && offset >= 0) return { phase, offset };
+  return null;
+}
+
+/**
+ * Plan one part of a backfill, so no request has to hold the whole database. Pages of the Notion
+ * database are compared with the Webflow collection first; then the collection is walked for items
+ * carrying a Notion id whose page is gone, which are planned for archival.
+ */
+export async function planBackfill(databaseId: string, route: SyncRoute, options: BackfillPageOptions = {}): Promise<BackfillPlan> {
+  const limit = Math.min(Math.max(options.limit ?? DEFAULT_BACKFILL_LIMIT, 1), MAX_BACKFILL_LIMIT);
+  const cursor = parseBackfillCursor(options.cursor);
+  if (!cursor) throw new Error(`Invalid backfill cursor ${options.cursor}`);
+
+  const { entries, nextCursor } =
+    cursor.phase === 'pages'
+      ? await planPages(databaseId, route, cursor.notionCursor, limit)
+      : await planArchives(databaseId, route, cursor.offset, limit);
+  const summary: Record<BackfillAction, number> = { create: 0, update: 0, archive: 0, unchanged: 0, invalid: 0 };
+  for (const entry of entries) summary[entry.action] += 1;
+  return { databaseId, collectionId: route.collectionId, entries, summary, nextCursor };
+}
+
+type PlanPart = { entries: BackfillPlanEntry[]; nextCursor: string | null };
+
+async function planPages(databaseId: string, route: SyncRoute, notionCursor: string | undefined, limit: number): Promise<PlanPart> {
+  const notionToken = process.env.NOTION_TOKEN || '';
+  const { mapping, collectionId } = route;
+  const hashes = getFieldHashStore();
+
+  const { pages, nextCursor } = await queryNotionDatabasePage(databaseId, notionToken, { cursor: notionCursor, limit });
+  console.log('backfill pages loaded', { databaseId, collectionId, pages: pages.length });
+
+  const entries: BackfillPlanEntry[] = [];
+  for (const page of pages) {
+    if (isNotionPageRemoved(page)) continue;
+    await expandTruncatedProperties(page, mapping.fields.map(entry => entry.notion), notionToken);
+    // Planning must not write anything: only already-migrated assets and already-linked relations are used
+    let notionData;
+    try {
+      notionData = await buildNotionData(page.id, page.properties, route, notionToken, { page, dryRun: true });
+    } catch (err) {
+      if (!(err instanceof UnknownOptionError)) throw err;
+      entries.push({ action: 'invalid', pageId: page.id, unknownOptions: err.unknownOptions, error: err.message });
+      continue;
+    }
+    const { fieldData, unknownOptions } = notionData;
+    const reported = unknownOptions.length > 0 ? { unknownOptions } : {};
+    const slug = fieldData.slug as string | undefined;
+    // Only this part's items are looked up, so no call lists the whole collection
+    const item = await lookupWebflowItem(collectionId, page.id, slug, mapping.notionIdField);
+
+    if (!item) {
+      entries.push({ action: 'create', pageId: page.id, slug, ...reported });
+      continue;
+    }
+    const changed = diffFieldData(fieldData, item.fieldData, await hashes.get(item.id));
+    const workflow = resolveWorkflowState(mapping.workflow, page.properties);
+    const flagsChanged = Boolean(item.isArchived) !== workflow.isArchived || Boolean(item.isDraft) !== workflow.isDraft;
+    entries.push({
+      action: changed.length > 0 || flagsChanged ? 'update' : 'unchanged',
+      pageId: page.id,
+      itemId: item.id,
+      slug,
+      ...(changed.length > 0 ? { changedFields: changed } : {}),
+      ...reported
+    });
+  }
+
+  if (nextCursor) return { entries, nextCursor: `pages:${nextCursor}` };
+  return { entries, nextCursor: mapping.notionIdField ? 'items:0' : null };
+}
+
+// An item is archived when its page is gone, trashed or moved out of the database
+async function planArchives(databaseId: string, route: SyncRoute, offset: number, limit: number): Promise<PlanPart> {
+  const notionToken = process.env.NOTION_TOKEN || '';
+  const { notionIdField } = route.mapping;
+  const items = notionIdField ? await listWebflowItemsPage(route.collectionId, offset, limit) : [];
+
+  const entries: BackfillPlanEntry[] = [];
+  for (const item of items) {
+    const pageId = notionIdField ? item.fieldData?.[notionIdField] : undefined;
+    if (typeof pageId !== 'string' || !pageId || item.isArchived) continue;
+    const page = await fetchNotionPage(pageId, notionToken);
+    const inDatabase = normalizeNotionId(page?.parent?.database_id ?? '') === normalizeNotionId(databaseId);
+    if (page && !isNotionPageRemoved(page) && inDatabase) continue;
+    entries.push({ action: 'archive', pageId, itemId: item.id, slug: item.fieldData?.slug as string | undefined });
+  }
+  return { entries, nextCursor: items.length === limit ? `items:${offset + limit}` : null };
+}
+
+// Work goes through the sync queue so each page gets the usual retries
+export async function applyBackfill(plan: BackfillPlan): Promise<number> {
+  let queued = 0;
+  for (const entry of plan.entries) {
+    if (entry.action === 'unchanged' || entry.action === 'invalid') continue;
+    await enqueueSyncJob({
+      pageId: entry.pageId,
+      eventType: entry.action === 'archive' ? 'page.deleted' : 'backfill',
+      databaseId: plan.databaseId,
+      ...(entry.action === 'archive' ? { itemId: entry.itemId } : {})
+    });
+    queued += 1;
+  }
+  return queued;
+}
@@ -0,0 +1,11 @@
+import { getCloudflareContext } from '@opennextjs/cloudflare';
+
+// Bindings are only available inside a Worker request (or `next dev` with the OpenNext proxy);
+// callers fall back to in-process implementations when one is missing
+export function getBindings(): Partial<CloudflareEnv> {
+  try {
+    return getCloudflareContext().env;
+  } catch {
+    return {};
+  }
+}
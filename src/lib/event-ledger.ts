@@ -0,0 +1,40 @@
+import { getKeyValueStore } from '@/lib/kv-store';
+
+export type SeenEvent = { attemptNumber?: number; receivedAt: string };
+
+export type EventLedger = {
+  getSeen(eventId: string): Promise<SeenEvent | null>;
+  markSeen(eventId: string, event: SeenEvent, ttlSeconds: number): Promise<void>;
+  getLastApplied(pageId: string): Promise<string | null>;
+  setLastApplied(pageId: string, timestamp: string): Promise<void>;
+};
+
+// Notion keeps redelivering a failed event for about a day
+export function eventTtlSeconds(): number {
+  return Number(process.env.SYNC_EVENT_TTL_SECONDS) || 24 * 60 * 60;
+}
+
+export function getEventLedger(): EventLedger {
+  const seen = getKeyValueStore<SeenEvent>('event:', 'SYNC_EVENTS');
+  const applied = getKeyValueStore<string>('applied:', 'SYNC_EVENTS');
+  return {
+    getSeen: eventId => seen.get(eventId),
+    // KV rejects TTLs under a minute
+    markSeen: (eventId, event, ttlSeconds) => seen.put(eventId, event, { expirationTtl: Math.max(60, ttlSeconds) }),
+    getLastApplied: pageId => applied.get(pageId),
+    setLastApplied: (pageId, timestamp) => applied.put(pageId, timestamp)
+  };
+}
+
+export function isStaleEvent(timestamp: string | undefined, lastApplied: string | null): boolean {
+  if (!timestamp || !lastApplied) return false;
+  return Date.parse(timestamp) < Date.parse(lastApplied);
+}
+
+// Never move the watermark backwards when jobs for the same page finish out of order
+export async function recordApplied(ledger: EventLedger, pageId: string, timestamp: string | undefined): Promise<void> {
+  if (!timestamp) return;
+  const lastApplied = await ledger.getLastApplied(pageId);
+  if (isStaleEvent(timestamp, lastApplied)) return;
+  await ledger.setLastApplied(pageId, timestamp);
+}
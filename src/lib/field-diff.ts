@@ -0,0 +1,45 @@
+import { createHash } from 'crypto';
+import { isEmptyFieldValue } from '@/lib/field-mapping';
+import { getKeyValueStore } from '@/lib/kv-store';
+
+export type FieldHashes = Record<string, string>;
+
+export type FieldHashStore = {
+  get(itemId: string): Promise<FieldHashes | null>;
+  set(itemId: string, hashes: FieldHashes): Promise<void>;
+};
+
+export function getFieldHashStore(): FieldHashStore {
+  const hashes = getKeyValueStore<FieldHashes>('field-hashes:');
+  return { get: itemId => hashes.get(itemId), set: (itemId, value) => hashes.put(itemId, value) };
+}
+
+export function hashFieldValue(value: unknown): string {
+  return createHash('sha256').update(JSON.stringify(value) ?? '').digest('hex');
+}
+
+export function hashFieldData(fieldData: Record<string, unknown>): FieldHashes {
+  return Object.fromEntries(Object.entries(fieldData).map(([field, value]) => [field, hashFieldValue(value)]));
+}
+
+/**
+ * Fields whose mapped value differs from the item's current value. Webflow rewrites some values
+ * (rich text HTML in particular), so a field whose value still hashes to what we last sent is
+ * treated as unchanged even when the stored copy looks different. An empty value matches a field
+ * the item doesn't have.
+ */
+export function diffFieldData(
+  desired: Record<string, unknown>,
+  current: Record<string, unknown> | undefined,
+  lastSent: FieldHashes | null
+): string[] {
+  return Object.keys(desired).filter(field => {
+    if (JSON.stringify(desired[field]) === JSON.stringify(current?.[field])) return false;
+    if (current && isEmptyFieldValue(desired[field]) && isEmptyFieldValue(current[field])) return false;
+    return lastSent?.[field] !== hashFieldValue(desired[field]);
+  });
+}
+
+export function pickFields(fieldData: Record<string, unknown>, fields: string[]): Record<string, unknown> {
+  return Object.fromEntries(fields.map(field => [field, fieldData[field]]));
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { diffFieldData } from '@/lib/field-diff';
+import { buildFieldData, type FieldMapping } from '@/lib/field-mapping';
+
+const mapping: FieldMapping = {
+  fields: [
+    { notion: 'Name', type: 'title', webflow: 'name' },
+    { notion: 'Summary', type: 'rich_text', webflow: 'summary' },
+    { notion: 'Category', type: 'select', webflow: 'category' },
+    { notion: 'Tags', type: 'multi_select', webflow: 'tags' },
+    { notion: 'Published', type: 'date', webflow: 'published-on' },
+    { notion: 'Cover', type: 'files', webflow: 'cover', transform: 'first' }
+  ]
+};
+
+// A page whose mapped properties were all cleared in Notion
+const clearedProperties = {
+  Name: { title: [] },
+  Summary: { rich_text: [] },
+  Category: { select: null },
+  Tags: { multi_select: [] },
+  Published: { date: null },
+  Cover: { files: [] }
+};
+
+describe('buildFieldData', () => {
+  it('sends an explicit empty value for every cleared property', () => {
+    expect(buildFieldData(clearedProperties, mapping)).toEqual({
+      name: '',
+      summary: '',
+      category: null,
+      tags: [],
+      'published-on': null,
+      cover: null
+    });
+  });
+
+  it('leaves out properties the page does not have', () => {
+    expect(buildFieldData({ Name: clearedProperties.Name }, mapping)).toEqual({ name: '' });
+  });
+});
+
+describe('diffFieldData with cleared properties', () => {
+  it('clears fields that still hold a value in Webflow', () => {
+    const desired = buildFieldData(clearedProperties, mapping);
+    expect(diffFieldData(desired, { name: 'Launch', summary: 'Old summary', category: 'opt-1' }, null)).toEqual([
+      'name',
+      'summary',
+      'category'
+    ]);
+  });
+
+  it('treats fields Webflow omits as already empty', () => {
+    expect(diffFieldData(buildFieldData(clearedProperties, mapping), {}, null)).toEqual([]);
+  });
+});
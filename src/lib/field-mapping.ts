@@ -0,0 +1,302 @@
+import defaultMapping from '@/config/field-mapping.json';
+import { richTextToPlainText, type NotionRichTextItem } from '@/lib/notion-rich-text';
+
+export type NotionPropertyType =
+  | 'title'
+  | 'rich_text'
+  | 'select'
+  | 'multi_select'
+  | 'date'
+  | 'number'
+  | 'checkbox'
+  | 'url'
+  | 'email'
+  | 'files'
+  | 'relation'
+  | 'people';
+
+export type FieldTransform = 'slugify' | 'trim' | 'lowercase' | 'uppercase' | 'first' | 'join';
+
+export type OptionFieldConfig = {
+  // Notion value → Webflow option name, for labels that differ between the two
+  aliases?: Record<string, string>;
+  // What to do with a value that matches no option; defaults to drop
+  unknown?: 'drop' | 'fallback' | 'fail';
+  // Plain text field that receives unknown values under the fallback policy
+  fallbackField?: string;
+};
+
+export type FieldMappingEntry = {
+  notion: string;
+  type: NotionPropertyType;
+  webflow: string;
+  transform?: FieldTransform;
+  // Relation properties only: resolve related pages to Webflow item ids for a Reference or MultiReference field
+  reference?: 'single' | 'multiple';
+  // Select and multi-select targets that are Webflow Option fields
+  option?: OptionFieldConfig;
+};
+
+export type PublishMode = 'stage' | 'publish' | 'live';
+
+export type PublishPolicy = {
+  // stage: leave changes staged; publish: stage then publish the item; live: write through the /live endpoints
+  mode: PublishMode;
+  // Only publish while this Notion property (select, status or text) has the given value
+  when?: { property: string; equals: string };
+};
+
+// Which side wins when Webflow was edited after the last sync and the Notion page changed too
+export type ConflictPolicy = 'notion-wins' | 'webflow-wins' | 'hold';
+
+export type WorkflowState = {
+  isDraft?: boolean;
+  isArchived?: boolean;
+  // Defaults to true unless the state is a draft or archived
+  publish?: boolean;
+};
+
+export type WorkflowConfig = {
+  // Notion select or status property holding the editorial state, e.g. Draft / In Review / Published
+  property: string;
+  states: Record<string, WorkflowState>;
+  // Used for empty or unlisted values; defaults to a draft
+  fallback?: WorkflowState;
+  // Date property; until that time the item stays a draft and a sync is scheduled for it
+  publishAtProperty?: string;
+};
+
+export type LocaleConfig = {
+  // Webflow's id for the secondary locale
+  cmsLocaleId: string;
+  // Properties named "<property> (<suffix>)" hold the locale's values, e.g. "Title (de)"
+  suffix: string;
+};
+
+export type FieldMapping = {
+  fields: FieldMappingEntry[];
+  // Webflow field slug that receives the page body rendered as rich text HTML
+  bodyField?: string;
+  // Webflow Image fields that receive the page cover and icon
+  coverField?: string;
+  iconField?: string;
+  // Hidden Webflow field that stores the Notion page id, used to find items when no link is stored
+  notionIdField?: string;
+  publish?: PublishPolicy;
+  workflow?: WorkflowConfig;
+  // Defaults to notion-wins
+  conflicts?: ConflictPolicy;
+  // Secondary locales filled from suffixed properties of the same page
+  locales?: LocaleConfig[];
+};
+
+type NotionFileObject = { name?: string; type?: 'file' | 'external'; file?: { url: string }; external?: { url: string } };
+
+export type NotionPropertyValue = {
+  id?: string;
+  type?: string;
+  // Set on relations cut off at 25 entries in the page object
+  has_more?: boolean;
+  title?: NotionRichTextItem[];
+  rich_text?: NotionRichTextItem[];
+  select?: { name: string } | null;
+  status?: { name: string } | null;
+  multi_select?: { name: string }[];
+  date?: { start: string; end?: string | null } | null;
+  number?: number | null;
+  checkbox?: boolean;
+  url?: string | null;
+  email?: string | null;
+  files?: NotionFileObject[];
+  relation?: { id: string }[];
+  people?: { id: string; name?: string; person?: { email?: string } }[];
+};
+
+export type NotionProperties = Record<string, NotionPropertyValue | undefined>;
+
+const PROPERTY_TYPES: NotionPropertyType[] = [
+  'title',
+  'rich_text',
+  'select',
+  'multi_select',
+  'date',
+  'number',
+  'checkbox',
+  'url',
+  'email',
+  'files',
+  'relation',
+  'people'
+];
+const TRANSFORMS: FieldTransform[] = ['slugify', 'trim', 'lowercase', 'uppercase', 'first', 'join'];
+const PUBLISH_MODES: PublishMode[] = ['stage', 'publish', 'live'];
+const CONFLICT_POLICIES: ConflictPolicy[] = ['notion-wins', 'webflow-wins', 'hold'];
+
+export function parseFieldMapping(input: unknown): FieldMapping {
+  const mapping = input as FieldMapping;
+  if (!mapping || !Array.isArray(mapping.fields)) {
+    throw new Error('Field mapping must be an object with a "fields" array');
+  }
+  mapping.fields.forEach((entry, index) => {
+    if (!entry || typeof entry.notion !== 'string' || typeof entry.webflow !== 'string') {
+      throw new Error(`Field mapping entry ${index} needs "notion" and "webflow" names`);
+    }
+    if (!PROPERTY_TYPES.includes(entry.type)) {
+      throw new Error(`Field mapping entry "${entry.notion}" has unsupported type "${entry.type}"`);
+    }
+    if (entry.transform && !TRANSFORMS.includes(entry.transform)) {
+      throw new Error(`Field mapping entry "${entry.notion}" has unsupported transform "${entry.transform}"`);
+    }
+    if (entry.reference !== undefined && (entry.type !== 'relation' || !['single', 'multiple'].includes(entry.reference))) {
+      throw new Error(`Field mapping entry "${entry.notion}" can only use "reference" ("single" or "multiple") on a relation`);
+    }
+    if (entry.option?.unknown !== undefined && !['drop', 'fallback', 'fail'].includes(entry.option.unknown)) {
+      throw new Error(`Field mapping entry "${entry.notion}" has unsupported option policy "${entry.option.unknown}"`);
+    }
+    if (entry.option?.unknown === 'fallback' && typeof entry.option.fallbackField !== 'string') {
+      throw new Error(`Field mapping entry "${entry.notion}" needs "option.fallbackField" for the fallback policy`);
+    }
+  });
+  if (mapping.bodyField !== undefined && typeof mapping.bodyField !== 'string') {
+    throw new Error('Field mapping "bodyField" must be a string');
+  }
+  for (const key of ['notionIdField', 'coverField', 'iconField'] as const) {
+    if (mapping[key] !== undefined && typeof mapping[key] !== 'string') {
+      throw new Error(`Field mapping "${key}" must be a string`);
+    }
+  }
+  if (mapping.publish !== undefined) {
+    if (!PUBLISH_MODES.includes(mapping.publish.mode)) {
+      throw new Error(`Field mapping "publish.mode" must be one of ${PUBLISH_MODES.join(', ')}`);
+    }
+    const when = mapping.publish.when;
+    if (when !== undefined && (typeof when.property !== 'string' || typeof when.equals !== 'string')) {
+      throw new Error('Field mapping "publish.when" needs "property" and "equals" strings');
+    }
+  }
+  if (mapping.workflow !== undefined) {
+    const { property, states, publishAtProperty } = mapping.workflow;
+    if (typeof property !== 'string' || !states || typeof states !== 'object') {
+      throw new Error('Field mapping "workflow" needs a "property" name and a "states" object');
+    }
+    if (publishAtProperty !== undefined && typeof publishAtProperty !== 'string') {
+      throw new Error('Field mapping "workflow.publishAtProperty" must be a string');
+    }
+  }
+  if (mapping.conflicts !== undefined && !CONFLICT_POLICIES.includes(mapping.conflicts)) {
+    throw new Error(`Field mapping "conflicts" must be one of ${CONFLICT_POLICIES.join(', ')}`);
+  }
+  if (mapping.locales !== undefined) {
+    const valid =
+      Array.isArray(mapping.locales) &&
+      mapping.locales.every(locale => typeof locale?.cmsLocaleId === 'string' && typeof locale.suffix === 'string');
+    if (!valid) throw new Error('Field mapping "locales" must be a list of { "cmsLocaleId", "suffix" } objects');
+  }
+  return mapping;
+}
+
+// NOTION_FIELD_MAPPING holds the mapping as JSON; without it the bundled config is used
+export function loadFieldMapping(): FieldMapping {
+  const fromEnv = process.env.NOTION_FIELD_MAPPING;
+  return parseFieldMapping(fromEnv ? JSON.parse(fromEnv) : defaultMapping);
+}
+
+function fileUrl(file: NotionFileObject): string | undefined {
+  return file.type === 'external' ? file.external?.url : file.file?.url;
+}
+
+export function readNotionProperty(property: NotionPropertyValue, type: NotionPropertyType): unknown {
+  switch (type) {
+    case 'title':
+      return richTextToPlainText(property.title);
+    case 'rich_text':
+      return richTextToPlainText(property.rich_text);
+    case 'select':
+      return property.select?.name;
+    case 'multi_select':
+      return (property.multi_select ?? []).map(option => option.name);
+    case 'date':
+      return property.date?.start;
+    case 'number':
+      return property.number ?? undefined;
+    case 'checkbox':
+      return property.checkbox ?? false;
+    case 'url':
+      return property.url ?? undefined;
+    case 'email':
+      return property.email ?? undefined;
+    case 'files':
+      return (property.files ?? []).map(fileUrl).filter((url): url is string => Boolean(url));
+    case 'relation':
+      return (property.relation ?? []).map(relation => relation.id);
+    case 'people':
+      return (property.people ?? []).map(person => person.name ?? person.person?.email ?? person.id);
+  }
+}
+
+export function slugify(value: string): string {
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export function applyTransform(value: unknown, transform: FieldTransform): unknown {
+  switch (transform) {
+    case 'first':
+      return Array.isArray(value) ? value[0] : value;
+    case 'join':
+      return Array.isArray(value) ? value.join(', ') : value;
+  }
+  if (typeof value !== 'string') return value;
+  switch (transform) {
+    case 'slugify':
+      return slugify(value);
+    case 'trim':
+      return value.trim();
+    case 'lowercase':
+      return value.toLowerCase();
+    case 'uppercase':
+      return value.toUpperCase();
+  }
+}
+
+// Webflow leaves fields missing from fieldData as they are, so a cleared property is sent as an explicit empty value
+function emptyFieldValue(entry: FieldMappingEntry): unknown {
+  if (entry.transform === 'join') return '';
+  if (entry.transform === 'first') return null;
+  switch (entry.type) {
+    case 'title':
+    case 'rich_text':
+    case 'url':
+    case 'email':
+      return '';
+    case 'multi_select':
+    case 'files':
+    case 'relation':
+    case 'people':
+      return [];
+    default:
+      return null;
+  }
+}
+
+// Webflow omits empty fields from the items it returns, so a missing field and an empty one are the same value
+export function isEmptyFieldValue(value: unknown): boolean {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+export function buildFieldData(properties: NotionProperties, mapping: FieldMapping): Record<string, unknown> {
+  const fieldData: Record<string, unknown> = {};
+  for (const entry of mapping.fields) {
+    const property = properties[entry.notion];
+    if (!property) continue;
+    let value = readNotionProperty(property, entry.type);
+    if (entry.transform) value = applyTransform(value, entry.transform);
+    fieldData[entry.webflow] = isEmptyFieldValue(value) ? emptyFieldValue(entry) : value;
+  }
+  return fieldData;
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { parseRetryAfter, sendWithRetry } from '@/lib/http-retry';
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2025-05-01T12:00:00Z');
+
+  it('reads a number of seconds', () => {
+    expect(parseRetryAfter('2', now)).toBe(2000);
+    expect(parseRetryAfter('0.5', now)).toBe(500);
+  });
+
+  it('reads an HTTP date relative to now', () => {
+    expect(parseRetryAfter('Thu, 01 May 2025 12:00:30 GMT', now)).toBe(30_000);
+  });
+
+  it('never returns a negative delay', () => {
+    expect(parseRetryAfter('-5', now)).toBe(0);
+    expect(parseRetryAfter('Thu, 01 May 2025 11:59:00 GMT', now)).toBe(0);
+  });
+
+  it('returns undefined for a missing or unreadable header', () => {
+    expect(parseRetryAfter(null, now)).toBeUndefined();
+    expect(parseRetryAfter('soon', now)).toBeUndefined();
+  });
+});
+
+describe('sendWithRetry', () => {
+  const responses = (...statuses: number[]) => {
+    let call = 0;
+    return () => Promise.resolve(new Response(JSON.stringify({ call }), { status: statuses[call++] }));
+  };
+
+  it('backs off exponentially on 429s and resolves with the first success', async () => {
+    const delays: number[] = [];
+    const { res, json } = await sendWithRetry(responses(429, 429, 200), {
+      maxRetries: 3,
+      sleep: async ms => void delays.push(ms)
+    });
+    expect(res.status).toBe(200);
+    expect(json).toEqual({ call: 2 });
+    expect(delays).toEqual([1000, 2000]);
+  });
+
+  it('hands back the last response once retries run out', async () => {
+    const delays: number[] = [];
+    const { res } = await sendWithRetry(responses(429, 429, 429), { maxRetries: 2, sleep: async ms => void delays.push(ms) });
+    expect(res.status).toBe(429);
+    expect(delays).toHaveLength(2);
+  });
+
+  it("doesn't retry other failures", async () => {
+    const { res } = await sendWithRetry(responses(503, 200), { maxRetries: 3, sleep: async () => {} });
+    expect(res.status).toBe(503);
+  });
+});
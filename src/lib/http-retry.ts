@@ -0,0 +1,74 @@
+const DEFAULT_RETRY_DELAY_MS = 1_000;
+// Longer waits are left to the sync queue instead of holding the worker
+const MAX_INLINE_RETRY_DELAY_MS = 30_000;
+
+export class RetryableSyncError extends Error {
+  constructor(
+    message: string,
+    readonly status: number,
+    readonly retryAfterMs?: number
+  ) {
+    super(message);
+    this.name = 'RetryableSyncError';
+  }
+}
+
+export function isRetryableStatus(status: number): boolean {
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(header: string | null, now = Date.now()): number | undefined {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+export const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+export type InlineRetryOptions = {
+  // 429 responses retried in place before the last response is handed back
+  maxRetries: number;
+  sleep: (ms: number) => Promise<void>;
+  onRetry?: (attempt: number, delayMs: number) => void;
+};
+
+export type SentRequest = { res: Response; json: unknown; retryAfterMs?: number };
+
+/**
+ * Send a request, retrying 429 responses in place while the wait is short: Retry-After when the
+ * API gives one, exponential backoff otherwise. Resolves with the final response and its parsed
+ * body; turning a failed one into an error is up to the client.
+ */
+export async function sendWithRetry(send: () => Promise<Response>, options: InlineRetryOptions): Promise<SentRequest> {
+  for (let attempt = 0; ; attempt++) {
+    const res = await send();
+    const json = await res.json().catch(() => ({}));
+    if (res.ok) return { res, json };
+
+    const retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+    const delayMs = retryAfterMs ?? DEFAULT_RETRY_DELAY_MS * 2 ** attempt;
+    if (res.status === 429 && attempt < options.maxRetries && delayMs <= MAX_INLINE_RETRY_DELAY_MS) {
+      options.onRetry?.(attempt + 1, delayMs);
+      await options.sleep(delayMs);
+      continue;
+    }
+    return { res, json, retryAfterMs };
+  }
+}
+
+export function throwIfRetryable(res: Response, label: string): void {
+  if (!isRetryableStatus(res.status)) return;
+  throw new RetryableSyncError(
+    `${label} failed with status ${res.status}`,
+    res.status,
+    parseRetryAfter(res.headers.get('retry-after'))
+  );
+}
+
+// Network failures surface from fetch as TypeError and are worth another attempt
+export function isRetryableError(err: unknown): boolean {
+  return err instanceof RetryableSyncError || err instanceof TypeError;
+}
@@ -0,0 +1,57 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getItemLinkStore } from '@/lib/item-links';
+
+const bindings = vi.hoisted((): Partial<CloudflareEnv> => ({}));
+vi.mock('@/lib/cloudflare-bindings', () => ({ getBindings: () => bindings }));
+
+// Just enough of KVNamespace for the reads and writes the store makes
+function createFakeKv(): KVNamespace {
+  const values = new Map<string, string>();
+  return {
+    get: async (key: string, type?: string) => {
+      const value = values.get(key);
+      if (value === undefined) return null;
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    put: async (key: string, value: string) => {
+      values.set(key, value);
+    },
+    delete: async (key: string) => {
+      values.delete(key);
+    }
+  } as unknown as KVNamespace;
+}
+
+describe.each<[string, () => KVNamespace | undefined]>([
+  ['memory', () => undefined],
+  ['kv', createFakeKv]
+])('%s item link store', (name, createKv) => {
+  // The in-memory fallback lives as long as the module, so each test uses its own ids
+  const pageId = (id: string) => `${name}-page-${id}`;
+  const itemId = (id: string) => `${name}-item-${id}`;
+
+  beforeEach(() => {
+    bindings.SYNC_LINKS = createKv();
+  });
+
+  it('links a page to an item in both directions', async () => {
+    const store = getItemLinkStore();
+    await store.setItemId(pageId('1'), itemId('1'));
+    expect(await store.getItemId(pageId('1'))).toBe(itemId('1'));
+    expect(await store.getPageId(itemId('1'))).toBe(pageId('1'));
+  });
+
+  it('returns null for pages and items without a link', async () => {
+    const store = getItemLinkStore();
+    expect(await store.getItemId(pageId('2'))).toBeNull();
+    expect(await store.getPageId(itemId('2'))).toBeNull();
+  });
+
+  it('drops both directions when a link is deleted', async () => {
+    const store = getItemLinkStore();
+    await store.setItemId(pageId('3'), itemId('3'));
+    await store.deleteLink(pageId('3'));
+    expect(await store.getItemId(pageId('3'))).toBeNull();
+    expect(await store.getPageId(itemId('3'))).toBeNull();
+  });
+});
@@ -0,0 +1,27 @@
+import { getKeyValueStore } from '@/lib/kv-store';
+
+export type ItemLinkStore = {
+  getItemId(pageId: string): Promise<string | null>;
+  // Reverse lookup for Webflow webhooks; links stored before it existed only have the forward key
+  getPageId(itemId: string): Promise<string | null>;
+  setItemId(pageId: string, itemId: string): Promise<void>;
+  deleteLink(pageId: string): Promise<void>;
+};
+
+export function getItemLinkStore(): ItemLinkStore {
+  const itemIds = getKeyValueStore<string>('notion-page:');
+  const pageIds = getKeyValueStore<string>('webflow-item:');
+  return {
+    getItemId: pageId => itemIds.get(pageId),
+    getPageId: itemId => pageIds.get(itemId),
+    setItemId: async (pageId, itemId) => {
+      await itemIds.put(pageId, itemId);
+      await pageIds.put(itemId, pageId);
+    },
+    deleteLink: async pageId => {
+      const itemId = await itemIds.get(pageId);
+      await itemIds.delete(pageId);
+      if (itemId) await pageIds.delete(itemId);
+    }
+  };
+}
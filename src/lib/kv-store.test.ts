@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { createKvStore, createMemoryStore } from '@/lib/kv-store';
+
+// A KV namespace that lists two keys per page, so the store has to follow the cursor
+function createPagedKv(values: Record<string, unknown>): KVNamespace {
+  return {
+    get: async (key: string) => (key in values ? values[key] : null),
+    list: async ({ prefix, cursor }: { prefix: string; cursor?: string }) => {
+      const names = Object.keys(values)
+        .filter(name => name.startsWith(prefix))
+        .sort();
+      const start = Number(cursor ?? 0);
+      const keys = names.slice(start, start + 2).map(name => ({ name }));
+      const complete = start + 2 >= names.length;
+      return { keys, list_complete: complete, cursor: complete ? undefined : String(start + 2) };
+    }
+  } as unknown as KVNamespace;
+}
+
+describe('createKvStore', () => {
+  it('lists every value under its prefix across list pages', async () => {
+    const kv = createPagedKv({ 'conflict:a': 1, 'conflict:b': 2, 'conflict:c': 3, 'asset:a': 4 });
+    expect(await createKvStore<number>(kv, 'conflict:').list()).toEqual([1, 2, 3]);
+  });
+});
+
+describe('createMemoryStore', () => {
+  it('keeps prefixes apart in a shared map', async () => {
+    const entries = new Map();
+    const conflicts = createMemoryStore<string>('conflict:', entries);
+    const assets = createMemoryStore<string>('asset:', entries);
+    await conflicts.put('b', 'second');
+    await conflicts.put('a', 'first');
+    await assets.put('a', 'asset');
+
+    expect(await conflicts.list()).toEqual(['first', 'second']);
+    expect(await assets.get('a')).toBe('asset');
+    await conflicts.delete('a');
+    expect(await conflicts.get('a')).toBeNull();
+    expect(await assets.get('a')).toBe('asset');
+  });
+
+  it('forgets values once their TTL has passed', async () => {
+    let now = 0;
+    const store = createMemoryStore<string>('event:', new Map(), () => now);
+    await store.put('evt-1', 'seen', { expirationTtl: 60 });
+    now = 59_000;
+    expect(await store.get('evt-1')).toBe('seen');
+    now = 60_000;
+    expect(await store.get('evt-1')).toBeNull();
+    expect(await store.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+import { getBindings } from '@/lib/cloudflare-bindings';
+
+type KvBinding = 'SYNC_LINKS' | 'SYNC_DEAD_LETTERS' | 'SYNC_EVENTS';
+
+export type KeyValueStore<T> = {
+  get(key: string): Promise<T | null>;
+  put(key: string, value: T, options?: { expirationTtl?: number }): Promise<void>;
+  delete(key: string): Promise<void>;
+  // Every value under the prefix, in key order
+  list(): Promise<T[]>;
+};
+
+type MemoryEntry = { value: unknown; expiresAt?: number };
+
+export function createKvStore<T>(kv: KVNamespace, prefix: string): KeyValueStore<T> {
+  return {
+    get: key => kv.get<T>(prefix + key, 'json'),
+    put: (key, value, options) => kv.put(prefix + key, JSON.stringify(value), options),
+    delete: key => kv.delete(prefix + key),
+    list: async () => {
+      const names: string[] = [];
+      let cursor: string | undefined;
+      do {
+        const page = await kv.list({ prefix, cursor });
+        names.push(...page.keys.map(key => key.name));
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor);
+      const values: (T | null)[] = await Promise.all(names.map(name => kv.get<T>(name, 'json')));
+      return values.filter((value): value is T => value !== null);
+    }
+  };
+}
+
+// Keys carry the prefix as in KV, so stores sharing a namespace can share one map
+export function createMemoryStore<T>(prefix: string, entries = new Map<string, MemoryEntry>(), now = () => Date.now()): KeyValueStore<T> {
+  const read = (name: string): T | null => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.expiresAt !== undefined && entry.expiresAt <= now()) {
+      entries.delete(name);
+      return null;
+    }
+    return entry.value as T;
+  };
+  return {
+    get: async key => read(prefix + key),
+    put: async (key, value, options) => {
+      const expiresAt = options?.expirationTtl === undefined ? undefined : now() + options.expirationTtl * 1000;
+      entries.set(prefix + key, { value, expiresAt });
+    },
+    delete: async key => {
+      entries.delete(prefix + key);
+    },
+    list: async () =>
+      [...entries.keys()]
+        .filter(name => name.startsWith(prefix))
+        .sort()
+        .map(read)
+        .filter((value): value is T => value !== null)
+  };
+}
+
+const memory = new Map<KvBinding, Map<string, MemoryEntry>>();
+
+/**
+ * Values of one kind in a KV namespace, kept apart from the others in it by a key prefix. Without
+ * the binding (`next dev` without the OpenNext proxy, tests) they are kept in memory for the life
+ * of the isolate.
+ */
+export function getKeyValueStore<T>(prefix: string, binding: KvBinding = 'SYNC_LINKS'): KeyValueStore<T> {
+  const kv = getBindings()[binding];
+  if (kv) return createKvStore<T>(kv, prefix);
+  let entries = memory.get(binding);
+  if (!entries) {
+    console.log(`${binding} binding missing, keeping its values in memory`);
+    entries = new Map();
+    memory.set(binding, entries);
+  }
+  return createMemoryStore<T>(prefix, entries);
+}
@@ -0,0 +1,81 @@
+import { diffFieldData, getFieldHashStore, hashFieldData, pickFields } from '@/lib/field-diff';
+import type { FieldMapping, LocaleConfig, NotionProperties } from '@/lib/field-mapping';
+import { loadSyncRoutes, type SyncRoute } from '@/lib/sync-routes';
+import { getWebflowClient } from '@/lib/webflow';
+
+export type LocaleOutcome = {
+  cmsLocaleId: string;
+  action: 'updated' | 'unchanged';
+  changedFields: string[];
+};
+
+// "Title" → "Title (de)"
+export function localizedPropertyName(name: string, locale: LocaleConfig): string {
+  return `${name} (${locale.suffix})`;
+}
+
+/**
+ * The mapping for one locale's suffixed properties, limited to the fields the page has a
+ * translation for. Page-level content (body, cover, icon) and the Notion id field belong to the
+ * primary item. Null when the page has no suffixed property for the locale.
+ */
+export function localeMapping(mapping: FieldMapping, locale: LocaleConfig, properties: NotionProperties): FieldMapping | null {
+  const fields = mapping.fields
+    // A database has one title property, so translated titles live in text properties
+    .map(entry => ({
+      ...entry,
+      notion: localizedPropertyName(entry.notion, locale),
+      type: entry.type === 'title' ? ('rich_text' as const) : entry.type
+    }))
+    .filter(entry => properties[entry.notion] !== undefined);
+  if (fields.length === 0) return null;
+  return { fields };
+}
+
+// A page in a per-locale database points at the page it translates through a relation property
+export function primaryPageId(properties: NotionProperties, route: SyncRoute): string | undefined {
+  if (!route.locale) return undefined;
+  return properties[route.locale.primaryRelation]?.relation?.[0]?.id;
+}
+
+// Locale ids with content from Notion; Webflow edits to these variants aren't written back to the primary page
+export function secondaryLocaleIds(collectionId: string, routes = loadSyncRoutes()): Set<string> {
+  const ids = new Set<string>();
+  for (const route of routes) {
+    if (route.collectionId !== collectionId) continue;
+    if (route.locale) ids.add(route.locale.cmsLocaleId);
+    for (const locale of route.mapping.locales ?? []) ids.add(locale.cmsLocaleId);
+  }
+  return ids;
+}
+
+/**
+ * Write one locale's variant of an item. Webflow keeps a variant per locale under the primary
+ * item's id, so this is an update with `cmsLocaleId` set. Hashes of what was sent are kept per
+ * locale, and fields that still match them are left out.
+ */
+export async function writeLocaleVariant(
+  collectionId: string,
+  itemId: string,
+  cmsLocaleId: string,
+  fieldData: Record<string, unknown>,
+  options: { live?: boolean } = {}
+): Promise<LocaleOutcome> {
+  const hashes = getFieldHashStore();
+  const hashKey = `${itemId}:${cmsLocaleId}`;
+  const changedFields = diffFieldData(fieldData, undefined, await hashes.get(hashKey));
+  if (changedFields.length === 0) {
+    console.log('webflow locale update skip: no changes', { itemId, cmsLocaleId });
+    return { cmsLocaleId, action: 'unchanged', changedFields };
+  }
+
+  console.log('webflow locale update start', { itemId, cmsLocaleId, changedFields, live: options.live });
+  await getWebflowClient().updateItem(
+    collectionId,
+    itemId,
+    { cmsLocaleId, fieldData: pickFields(fieldData, changedFields) },
+    { live: options.live }
+  );
+  await hashes.set(hashKey, { ...(await hashes.get(hashKey)), ...hashFieldData(fieldData) });
+  return { cmsLocaleId, action: 'updated', changedFields };
+}
@@ -0,0 +1,191 @@
+import type { FieldMapping, NotionPropertyType } from '@/lib/field-mapping';
+import { fetchNotionDatabase, type NotionDatabase } from '@/lib/notion-pages';
+import { findSyncRoute } from '@/lib/sync-routes';
+import { getWebflowCollection, type WebflowCollection, type WebflowCollectionField } from '@/lib/webflow-items';
+
+export type ValidationIssue = {
+  severity: 'error' | 'warning';
+  code:
+    | 'missing-notion-property'
+    | 'missing-webflow-field'
+    | 'notion-type-mismatch'
+    | 'webflow-type-mismatch'
+    | 'required-field-unmapped'
+    | 'slug-constraint';
+  message: string;
+  notion?: string;
+  webflow?: string;
+};
+
+export type ValidationReport = {
+  ok: boolean;
+  databaseId: string;
+  collectionId: string;
+  issues: ValidationIssue[];
+};
+
+// Webflow field types each Notion property type can be written to
+const COMPATIBLE_WEBFLOW_TYPES: Record<NotionPropertyType, string[]> = {
+  title: ['PlainText', 'RichText'],
+  rich_text: ['PlainText', 'RichText'],
+  select: ['Option', 'PlainText'],
+  multi_select: ['Option', 'PlainText'],
+  date: ['DateTime'],
+  number: ['Number'],
+  checkbox: ['Switch'],
+  url: ['Link', 'VideoLink', 'PlainText'],
+  email: ['Email', 'PlainText'],
+  files: ['Image', 'MultiImage', 'File', 'Link'],
+  relation: ['Reference', 'MultiReference', 'PlainText'],
+  people: ['PlainText']
+};
+
+export function validateMapping(
+  mapping: FieldMapping,
+  database: NotionDatabase,
+  collection: WebflowCollection
+): ValidationReport {
+  const issues: ValidationIssue[] = [];
+  const fieldsBySlug = new Map(collection.fields.map(field => [field.slug, field]));
+  const mappedSlugs = new Set<string>();
+
+  const checkWebflowField = (slug: string, allowed: string[], source: string): WebflowCollectionField | undefined => {
+    mappedSlugs.add(slug);
+    const field = fieldsBySlug.get(slug);
+    if (!field) {
+      issues.push({
+        severity: 'error',
+        code: 'missing-webflow-field',
+        message: `Webflow field "${slug}" (from ${source}) does not exist in the collection`,
+        webflow: slug
+      });
+      return undefined;
+    }
+    if (!allowed.includes(field.type)) {
+      issues.push({
+        severity: 'error',
+        code: 'webflow-type-mismatch',
+        message: `Webflow field "${slug}" is ${field.type}, but ${source} needs one of ${allowed.join(', ')}`,
+        webflow: slug
+      });
+    }
+    return field;
+  };
+
+  const checkNotionProperty = (name: string, allowed: string[], source: string) => {
+    const property = database.properties[name];
+    if (!property) {
+      issues.push({
+        severity: 'error',
+        code: 'missing-notion-property',
+        message: `Notion property "${name}" (from ${source}) does not exist in the database`,
+        notion: name
+      });
+      return;
+    }
+    if (!allowed.includes(property.type)) {
+      issues.push({
+        severity: 'error',
+        code: 'notion-type-mismatch',
+        message: `Notion property "${name}" is ${property.type}, but ${source} expects ${allowed.join(' or ')}`,
+        notion: name
+      });
+    }
+  };
+
+  for (const entry of mapping.fields) {
+    const source = `mapping "${entry.notion}"`;
+    checkNotionProperty(entry.notion, [entry.type], source);
+
+    let allowed = COMPATIBLE_WEBFLOW_TYPES[entry.type];
+    if (entry.reference === 'single') allowed = ['Reference'];
+    if (entry.reference === 'multiple') allowed = ['MultiReference'];
+    if (entry.transform === 'first' && entry.type === 'files') allowed = ['Image', 'File', 'Link'];
+    const field = checkWebflowField(entry.webflow, allowed, source);
+
+    if (field?.type === 'Option' && entry.type === 'multi_select' && entry.transform !== 'first') {
+      issues.push({
+        severity: 'warning',
+        code: 'webflow-type-mismatch',
+        message: `Webflow Option field "${entry.webflow}" holds one value; add "transform": "first" to "${entry.notion}"`,
+        notion: entry.notion,
+        webflow: entry.webflow
+      });
+    }
+    if (entry.option?.fallbackField) checkWebflowField(entry.option.fallbackField, ['PlainText'], `${source} option fallback`);
+  }
+
+  if (mapping.bodyField) checkWebflowField(mapping.bodyField, ['RichText'], 'bodyField');
+  if (mapping.coverField) checkWebflowField(mapping.coverField, ['Image'], 'coverField');
+  if (mapping.iconField) checkWebflowField(mapping.iconField, ['Image'], 'iconField');
+  if (mapping.notionIdField) checkWebflowField(mapping.notionIdField, ['PlainText'], 'notionIdField');
+  if (mapping.publish?.when) checkNotionProperty(mapping.publish.when.property, ['select', 'status', 'rich_text', 'title'], 'publish.when');
+  if (mapping.workflow) {
+    checkNotionProperty(mapping.workflow.property, ['select', 'status'], 'workflow');
+    if (mapping.workflow.publishAtProperty) checkNotionProperty(mapping.workflow.publishAtProperty, ['date'], 'workflow.publishAtProperty');
+  }
+
+  for (const field of collection.fields) {
+    if (field.isRequired && !mappedSlugs.has(field.slug)) {
+      issues.push({
+        severity: 'error',
+        code: 'required-field-unmapped',
+        message: `Required Webflow field "${field.slug}" has no Notion source`,
+        webflow: field.slug
+      });
+    }
+  }
+
+  // Webflow only accepts lowercase letters, numbers and hyphens in slugs
+  const slugEntry = mapping.fields.find(entry => entry.webflow === 'slug');
+  if (slugEntry && slugEntry.transform !== 'slugify') {
+    issues.push({
+      severity: 'warning',
+      code: 'slug-constraint',
+      message: `"${slugEntry.notion}" feeds the slug without "transform": "slugify"; values with spaces or capitals will be rejected`,
+      notion: slugEntry.notion,
+      webflow: 'slug'
+    });
+  }
+  if (slugEntry && !['title', 'rich_text', 'url'].includes(slugEntry.type)) {
+    issues.push({
+      severity: 'error',
+      code: 'slug-constraint',
+      message: `The slug comes from "${slugEntry.notion}", a ${slugEntry.type} property; use a title or text property`,
+      notion: slugEntry.notion,
+      webflow: 'slug'
+    });
+  }
+
+  return {
+    ok: !issues.some(issue => issue.severity === 'error'),
+    databaseId: database.id,
+    collectionId: collection.id,
+    issues
+  };
+}
+
+export function formatValidationReport(report: ValidationReport): string {
+  const lines = [`Notion database ${report.databaseId} → Webflow collection ${report.collectionId}`];
+  if (report.issues.length === 0) {
+    lines.push('Mapping is valid.');
+    return lines.join('\n');
+  }
+  for (const issue of report.issues) {
+    lines.push(`${issue.severity === 'error' ? 'ERROR' : 'WARN '} [${issue.code}] ${issue.message}`);
+  }
+  const errors = report.issues.filter(issue => issue.severity === 'error').length;
+  lines.push(`${errors} error(s), ${report.issues.length - errors} warning(s).`);
+  return lines.join('\n');
+}
+
+// Shared by `npm run sync:validate` and the admin route
+export async function runMappingValidation(databaseId: string): Promise<ValidationReport> {
+  const route = findSyncRoute(databaseId);
+  if (!route) throw new Error(`No sync route for database ${databaseId}`);
+  const [database, collection] = await Promise.all([
+    fetchNotionDatabase(databaseId, process.env.NOTION_TOKEN ?? ''),
+    getWebflowCollection(route.collectionId)
+  ]);
+  return validateMapping(route.mapping, database, collection);
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { blocksToHtml } from '@/lib/notion-blocks';
+import type { NotionBlock } from '@/lib/notion/types';
+
+const text = (content: string, href: string | null = null) => ({ type: 'text', plain_text: content, href });
+
+const block = (type: string, richText: ReturnType<typeof text>[], children?: NotionBlock[]) =>
+  ({ id: `${type}-block`, type, has_children: Boolean(children), [type]: { rich_text: richText }, children }) as NotionBlock;
+
+describe('blocksToHtml', () => {
+  it('renders quote and callout children inside the blockquote', () => {
+    const quote = block('quote', [text('Said once')], [block('paragraph', [text('and again')])]);
+    const callout = block('callout', [text('Note')], [block('bulleted_list_item', [text('one')])]);
+    expect(blocksToHtml([quote, callout])).toBe(
+      '<blockquote>Said once<p>and again</p></blockquote><blockquote>Note<ul><li>one</li></ul></blockquote>'
+    );
+  });
+
+  it('only links http, https and mailto targets', () => {
+    const paragraph = block('paragraph', [
+      text('site', 'https://example.com/a'),
+      text(' mail', 'mailto:team@example.com'),
+      text(' script', 'javascript:alert(1)'),
+      text(' data', 'data:text/html,<b>x</b>')
+    ]);
+    expect(blocksToHtml([paragraph])).toBe(
+      '<p><a href="https://example.com/a">site</a><a href="mailto:team@example.com"> mail</a> script data</p>'
+    );
+  });
+
+  it('drops bookmarks with an unsafe url', () => {
+    const bookmark = { id: 'b', type: 'bookmark', has_children: false, bookmark: { url: 'javascript:alert(1)' } } as NotionBlock;
+    expect(blocksToHtml([bookmark])).toBe('');
+  });
+});
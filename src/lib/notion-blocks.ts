@@ -0,0 +1,121 @@
+import {
+  escapeHtml,
+  mentionedPageIds,
+  richTextToHtml,
+  richTextToPlainText,
+  safeHref,
+  type MentionUrls,
+  type NotionRichTextItem
+} from '@/lib/notion-rich-text';
+import type { NotionBlock } from '@/lib/notion/types';
+
+export type { NotionBlock } from '@/lib/notion/types';
+
+type NotionFile = {
+  type?: 'file' | 'external';
+  file?: { url: string };
+  external?: { url: string };
+  caption?: NotionRichTextItem[];
+};
+
+// Swap each image's file URL in place, e.g. for a copy hosted in Webflow assets
+export async function rewriteImageUrls(blocks: NotionBlock[], rewrite: (url: string) => Promise<string>): Promise<void> {
+  for (const block of blocks) {
+    if (block.type === 'image') {
+      const data = blockData(block);
+      const target = data.type === 'external' ? data.external : data.file;
+      if (target?.url) target.url = await rewrite(target.url);
+    }
+    if (block.children) await rewriteImageUrls(block.children, rewrite);
+  }
+}
+
+function fileUrl(file: NotionFile | undefined): string | undefined {
+  if (!file) return undefined;
+  return file.type === 'external' ? file.external?.url : file.file?.url;
+}
+
+function blockData(block: NotionBlock): { rich_text?: NotionRichTextItem[]; language?: string } & NotionFile {
+  return (block[block.type] ?? {}) as { rich_text?: NotionRichTextItem[]; language?: string } & NotionFile;
+}
+
+// Page ids mentioned anywhere in the blocks, so their Webflow URLs can be looked up before rendering
+export function blockMentionedPageIds(blocks: NotionBlock[]): string[] {
+  return blocks.flatMap(block => {
+    const data = blockData(block);
+    return [
+      ...mentionedPageIds(data.rich_text),
+      ...mentionedPageIds(data.caption),
+      ...(block.children ? blockMentionedPageIds(block.children) : [])
+    ];
+  });
+}
+
+function renderBlock(block: NotionBlock, mentionUrls: MentionUrls | undefined): string {
+  const data = blockData(block);
+  const text = richTextToHtml(data.rich_text, mentionUrls);
+  const children = block.children ? blocksToHtml(block.children, mentionUrls) : '';
+
+  switch (block.type) {
+    case 'paragraph':
+      return (text ? `<p>${text}</p>` : '') + children;
+    case 'heading_1':
+      return `<h1>${text}</h1>${children}`;
+    case 'heading_2':
+      return `<h2>${text}</h2>${children}`;
+    case 'heading_3':
+      return `<h3>${text}</h3>${children}`;
+    case 'bulleted_list_item':
+    case 'numbered_list_item':
+    case 'to_do':
+      return `<li>${text}${children}</li>`;
+    case 'quote':
+    case 'callout':
+      return `<blockquote>${text}${children}</blockquote>`;
+    case 'code':
+      return `<pre><code>${escapeHtml(richTextToPlainText(data.rich_text))}</code></pre>`;
+    case 'divider':
+      return '<hr>';
+    case 'image': {
+      const src = fileUrl(data);
+      if (!src) return '';
+      const caption = richTextToHtml(data.caption, mentionUrls);
+      const alt = escapeHtml(richTextToPlainText(data.caption));
+      return `<figure><div><img src="${escapeHtml(src)}" alt="${alt}"></div>${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+    }
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview': {
+      const url = safeHref((block[block.type] as { url?: string } | undefined)?.url);
+      return url ? `<p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>` : '';
+    }
+    case 'toggle':
+      return (text ? `<p>${text}</p>` : '') + children;
+    default:
+      return children;
+  }
+}
+
+function listTag(type: string): 'ul' | 'ol' | null {
+  if (type === 'bulleted_list_item' || type === 'to_do') return 'ul';
+  if (type === 'numbered_list_item') return 'ol';
+  return null;
+}
+
+export function blocksToHtml(blocks: NotionBlock[], mentionUrls?: MentionUrls): string {
+  let html = '';
+  let openList: 'ul' | 'ol' | null = null;
+
+  for (const block of blocks) {
+    const tag = listTag(block.type);
+    if (tag !== openList) {
+      if (openList) html += `</${openList}>`;
+      if (tag) html += `<${tag}>`;
+      openList = tag;
+    }
+    html += renderBlock(block, mentionUrls);
+  }
+  if (openList) html += `</${openList}>`;
+
+  return html;
+}
@@ -0,0 +1,92 @@
+import type { NotionPropertyValue } from '@/lib/field-mapping';
+import { getNotionClient, NotionNotFoundError } from '@/lib/notion';
+import type { NotionDatabase, NotionPage, NotionPropertyWrites } from '@/lib/notion/types';
+
+export type { NotionDatabase, NotionPage, NotionPropertyWrites } from '@/lib/notion/types';
+
+// Page objects carry at most this many entries of a title, rich_text, relation or people property
+const PAGE_PROPERTY_ITEM_LIMIT = 25;
+const PAGINATED_PROPERTY_TYPES = ['title', 'rich_text', 'relation', 'people'] as const;
+
+// Resolves to null when the page no longer exists or the integration lost access to it
+export async function fetchNotionPage(pageId: string, notionToken: string): Promise<NotionPage | null> {
+  try {
+    return await getNotionClient(notionToken).getPage(pageId);
+  } catch (err) {
+    if (!(err instanceof NotionNotFoundError)) throw err;
+    console.log('notion page not found', { pageId });
+    return null;
+  }
+}
+
+export function isNotionPageRemoved(page: NotionPage): boolean {
+  return Boolean(page.archived || page.in_trash);
+}
+
+function isTruncated(property: NotionPropertyValue): boolean {
+  if (property.has_more) return true;
+  const type = PAGINATED_PROPERTY_TYPES.find(candidate => candidate === property.type);
+  return Boolean(type && (property[type]?.length ?? 0) >= PAGE_PROPERTY_ITEM_LIMIT);
+}
+
+// Replace the named properties that the page object cut short with their complete values
+export async function expandTruncatedProperties(page: NotionPage, names: string[], notionToken: string): Promise<void> {
+  const client = getNotionClient(notionToken);
+  for (const name of names) {
+    const property = page.properties[name];
+    if (!property?.id || !isTruncated(property)) continue;
+    console.log('notion property truncated, fetching all values', { pageId: page.id, property: name });
+    page.properties[name] = { ...(await client.getPageProperty(page.id, property.id)), id: property.id };
+  }
+}
+
+export async function fetchNotionDatabase(databaseId: string, notionToken: string): Promise<NotionDatabase> {
+  return getNotionClient(notionToken).getDatabase(databaseId);
+}
+
+export async function queryNotionDatabasePage(
+  databaseId: string,
+  notionToken: string,
+  { cursor, limit }: { cursor?: string; limit: number }
+): Promise<{ pages: NotionPage[]; nextCursor: string | null }> {
+  const list = await getNotionClient(notionToken).queryDatabasePage(databaseId, { page_size: limit, start_cursor: cursor });
+  return { pages: list.results ?? [], nextCursor: list.has_more ? list.next_cursor : null };
+}
+
+export function pageFileUrl(file: NotionPage['cover'] | undefined): string | undefined {
+  if (!file) return undefined;
+  return file.type === 'external' ? file.external?.url : file.file?.url;
+}
+
+export async function updateNotionPage(
+  pageId: string,
+  update: { properties?: NotionPropertyWrites; archived?: boolean },
+  notionToken: string
+): Promise<NotionPage> {
+  const page = await getNotionClient(notionToken).updatePage(pageId, update);
+  console.log('notion page update result', { pageId });
+  return page;
+}
+
+export async function createNotionPage(
+  databaseId: string,
+  properties: NotionPropertyWrites,
+  notionToken: string
+): Promise<NotionPage> {
+  const page = await getNotionClient(notionToken).createPage(databaseId, properties);
+  console.log('notion page create result', { databaseId, pageId: page.id });
+  return page;
+}
+
+let botUserId: string | undefined;
+
+// The integration's own user, which Notion lists as the author of every write-back
+export async function fetchNotionBotUserId(notionToken: string): Promise<string | undefined> {
+  if (botUserId) return botUserId;
+  try {
+    botUserId = (await getNotionClient(notionToken).getSelf()).id;
+  } catch (err) {
+    console.error('notion bot user error', err);
+  }
+  return botUserId;
+}
@@ -0,0 +1,81 @@
+export type NotionAnnotations = {
+  bold?: boolean;
+  italic?: boolean;
+  strikethrough?: boolean;
+  underline?: boolean;
+  code?: boolean;
+  color?: string;
+};
+
+export type NotionRichTextItem = {
+  type?: 'text' | 'mention' | 'equation';
+  plain_text?: string;
+  href?: string | null;
+  annotations?: NotionAnnotations;
+  mention?: { type?: string; page?: { id: string } };
+  equation?: { expression: string };
+};
+
+// Notion page id → URL of the Webflow item synced from it
+export type MentionUrls = Map<string, string>;
+
+export function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function richTextToPlainText(richText: NotionRichTextItem[] | undefined): string {
+  return (richText ?? []).map(item => item.plain_text ?? '').join('');
+}
+
+export function mentionedPageIds(richText: NotionRichTextItem[] | undefined): string[] {
+  return (richText ?? []).flatMap(item => (item.mention?.type === 'page' && item.mention.page ? [item.mention.page.id] : []));
+}
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Other schemes, `javascript:` in particular, must not reach the published site; the run stays plain text
+export function safeHref(url: string | null | undefined): string | undefined {
+  if (!url) return undefined;
+  try {
+    return LINK_PROTOCOLS.includes(new URL(url).protocol) ? url : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// Page mentions point into the Notion workspace, so they only become links when the page has an item
+function linkTarget(item: NotionRichTextItem, mentionUrls: MentionUrls | undefined): string | undefined {
+  if (item.type === 'mention') {
+    if (item.mention?.type === 'page') return item.mention.page ? mentionUrls?.get(item.mention.page.id) : undefined;
+    if (item.mention?.type === 'user' || item.mention?.type === 'date' || item.mention?.type === 'database') return undefined;
+  }
+  return safeHref(item.href);
+}
+
+function renderRun(item: NotionRichTextItem, mentionUrls: MentionUrls | undefined): string {
+  const annotations = item.annotations ?? {};
+  let html =
+    item.type === 'equation'
+      ? `<code>${escapeHtml(item.equation?.expression ?? item.plain_text ?? '')}</code>`
+      : escapeHtml(item.plain_text ?? '').replace(/\n/g, '<br>');
+  if (annotations.code && item.type !== 'equation') html = `<code>${html}</code>`;
+  if (annotations.strikethrough) html = `<s>${html}</s>`;
+  if (annotations.underline) html = `<u>${html}</u>`;
+  if (annotations.italic) html = `<em>${html}</em>`;
+  if (annotations.bold) html = `<strong>${html}</strong>`;
+  const href = linkTarget(item, mentionUrls);
+  return href ? `<a href="${escapeHtml(href)}">${html}</a>` : html;
+}
+
+/**
+ * Every run of a rich text value as inline HTML. Colors have no semantic tag and are dropped;
+ * equations are kept as their TeX source in `<code>`.
+ */
+export function richTextToHtml(richText: NotionRichTextItem[] | undefined, mentionUrls?: MentionUrls): string {
+  return (richText ?? []).map(item => renderRun(item, mentionUrls)).join('');
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import {
+  authenticateNotionWebhook,
+  calculateNotionSignature,
+  type NotionWebhookAuthOptions
+} from '@/lib/notion-webhook-auth';
+
+const TOKEN = 'secret_verification_token';
+const event = JSON.stringify({ id: 'evt_1', type: 'page.content_updated', entity: { id: 'page_1', type: 'page' } });
+
+function options(overrides: Partial<NotionWebhookAuthOptions> = {}): NotionWebhookAuthOptions {
+  return { verificationToken: TOKEN, allowUnverified: false, isProduction: false, ...overrides };
+}
+
+describe('authenticateNotionWebhook', () => {
+  it('rejects malformed JSON with 400', () => {
+    const result = authenticateNotionWebhook('{not json', null, options());
+    expect(result.handled && result.response.status).toBe(400);
+  });
+
+  it.each(['[]', 'null', '"text"', '42'])('rejects the non-object body %s with 400', rawBody => {
+    const result = authenticateNotionWebhook(rawBody, null, options());
+    expect(result.handled && result.response.status).toBe(400);
+  });
+
+  it('answers the handshake when the token matches', async () => {
+    const result = authenticateNotionWebhook(JSON.stringify({ verification_token: TOKEN }), null, options());
+    expect(result.handled).toBe(true);
+    if (!result.handled) return;
+    expect(result.response.status).toBe(200);
+    expect(await result.response.json()).toEqual({ success: true });
+  });
+
+  it('rejects a handshake with a different token with 401', () => {
+    const result = authenticateNotionWebhook(JSON.stringify({ verification_token: 'other' }), null, options());
+    expect(result.handled && result.response.status).toBe(401);
+  });
+
+  it('accepts the handshake while no token is configured yet', () => {
+    const result = authenticateNotionWebhook(
+      JSON.stringify({ verification_token: TOKEN }),
+      null,
+      options({ verificationToken: '', isProduction: true })
+    );
+    expect(result.handled && result.response.status).toBe(200);
+  });
+
+  it('passes an event with a valid signature through', () => {
+    const result = authenticateNotionWebhook(event, calculateNotionSignature(event, TOKEN), options());
+    expect(result).toEqual({ handled: false, body: JSON.parse(event) });
+  });
+
+  it('rejects a bad signature with 401', () => {
+    const result = authenticateNotionWebhook(event, calculateNotionSignature(event, 'wrong'), options());
+    expect(result.handled && result.response.status).toBe(401);
+  });
+
+  it('rejects a missing signature with 401', () => {
+    const result = authenticateNotionWebhook(event, null, options());
+    expect(result.handled && result.response.status).toBe(401);
+  });
+
+  it('refuses events with 503 in production without a token', () => {
+    const result = authenticateNotionWebhook(event, null, options({ verificationToken: '', isProduction: true }));
+    expect(result.handled && result.response.status).toBe(503);
+  });
+
+  it('lets events through in production without a token when unverified webhooks are allowed', () => {
+    const result = authenticateNotionWebhook(
+      event,
+      null,
+      options({ verificationToken: '', isProduction: true, allowUnverified: true })
+    );
+    expect(result).toEqual({ handled: false, body: JSON.parse(event) });
+  });
+
+  it('lets events through outside production without a token', () => {
+    const result = authenticateNotionWebhook(event, null, options({ verificationToken: '' }));
+    expect(result.handled).toBe(false);
+  });
+});
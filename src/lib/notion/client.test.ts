@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { createNotionClient, NotionNotFoundError, NotionRetryableError } from '@/lib/notion';
+
+// Response bodies as recorded from the Notion API
+const RATE_LIMITED = {
+  object: 'error',
+  status: 429,
+  code: 'rate_limited',
+  message: 'You have been rate limited. Please try again in a few minutes.',
+  request_id: 'a6b0c3b4-51c1-4c0b-9a0e-4bb9a9c6b7c1'
+};
+const NOT_FOUND = {
+  object: 'error',
+  status: 404,
+  code: 'object_not_found',
+  message: 'Could not find page with ID: 59833787-2cf9-4fdf-8782-e53db20768a5.',
+  request_id: '1c6b3e0e-0f5c-4d1a-8f4e-1f3f5c0d9d21'
+};
+const PAGE = {
+  object: 'page',
+  id: '59833787-2cf9-4fdf-8782-e53db20768a5',
+  archived: false,
+  in_trash: false,
+  parent: { type: 'database_id', database_id: 'd9824bdc-8445-4327-be8b-5b47500af6ce' },
+  properties: { Name: { id: 'title', type: 'title', title: [{ type: 'text', plain_text: 'Hello' }] } }
+};
+
+type Recorded = { status: number; body: unknown; headers?: Record<string, string> };
+
+function replay(responses: Recorded[]) {
+  const requests: string[] = [];
+  const fetch = async (input: RequestInfo | URL) => {
+    requests.push(String(input));
+    const next = responses.shift();
+    if (!next) throw new Error(`No recorded response left for ${String(input)}`);
+    return new Response(JSON.stringify(next.body), { status: next.status, headers: next.headers });
+  };
+  return { fetch: fetch as typeof globalThis.fetch, requests };
+}
+
+function clientFor(responses: Recorded[]) {
+  const recorded = replay(responses);
+  const sleeps: number[] = [];
+  const client = createNotionClient({
+    token: 'secret_test',
+    fetch: recorded.fetch,
+    rateLimiter: { take: async () => {} },
+    sleep: async ms => {
+      sleeps.push(ms);
+    }
+  });
+  return { client, requests: recorded.requests, sleeps };
+}
+
+describe('createNotionClient', () => {
+  it('retries a 429 after Retry-After and returns the page', async () => {
+    const { client, requests, sleeps } = clientFor([
+      { status: 429, body: RATE_LIMITED, headers: { 'retry-after': '2' } },
+      { status: 200, body: PAGE }
+    ]);
+    expect(await client.getPage(PAGE.id)).toEqual(PAGE);
+    expect(sleeps).toEqual([2000]);
+    expect(requests).toEqual([`https://api.notion.com/v1/pages/${PAGE.id}`, `https://api.notion.com/v1/pages/${PAGE.id}`]);
+  });
+
+  it('leaves long waits to the sync queue', async () => {
+    const { client, sleeps } = clientFor([{ status: 429, body: RATE_LIMITED, headers: { 'retry-after': '120' } }]);
+    const error = await client.getPage(PAGE.id).catch(err => err);
+    expect(error).toBeInstanceOf(NotionRetryableError);
+    expect(error).toMatchObject({ status: 429, retryAfterMs: 120_000, code: 'rate_limited', requestId: RATE_LIMITED.request_id });
+    expect(sleeps).toEqual([]);
+  });
+
+  it('throws NotionNotFoundError for a 404', async () => {
+    const { client } = clientFor([{ status: 404, body: NOT_FOUND }]);
+    const error = await client.getPage(PAGE.id).catch(err => err);
+    expect(error).toBeInstanceOf(NotionNotFoundError);
+    expect(error).toMatchObject({ code: 'object_not_found', requestId: NOT_FOUND.request_id });
+  });
+});
@@ -0,0 +1,157 @@
+import type { NotionPropertyValue } from '@/lib/field-mapping';
+import { isRetryableStatus, sendWithRetry, sleep as defaultSleep } from '@/lib/http-retry';
+import { NotionApiError, NotionNotFoundError, NotionRetryableError, type NotionErrorBody } from '@/lib/notion/errors';
+import { createTokenBucket, type RateLimiter } from '@/lib/notion/token-bucket';
+import type {
+  NotionBlock,
+  NotionDatabase,
+  NotionDatabaseQuery,
+  NotionList,
+  NotionPage,
+  NotionPropertyItem,
+  NotionPropertyItemList,
+  NotionPropertyWrites,
+  NotionUser
+} from '@/lib/notion/types';
+
+// Pinned so a Notion release can't change response shapes under us
+export const NOTION_VERSION = '2022-06-28';
+const NOTION_API_BASE = 'https://api.notion.com/v1';
+const PAGE_SIZE = 100;
+const DEFAULT_MAX_RETRIES = 3;
+
+export type NotionClientOptions = {
+  token: string;
+  // Injectable for tests that replay recorded responses
+  fetch?: typeof fetch;
+  notionVersion?: string;
+  rateLimiter?: RateLimiter;
+  // 429 responses retried in place before NotionRetryableError is thrown
+  maxRetries?: number;
+  sleep?: (ms: number) => Promise<void>;
+};
+
+type RequestOptions = { method?: 'GET' | 'POST' | 'PATCH'; body?: unknown; query?: Record<string, string | undefined> };
+
+// Notion allows an average of three requests per second per integration; share the budget per isolate
+const sharedRateLimiter = createTokenBucket({ ratePerSecond: 3, burst: 3 });
+
+export function createNotionClient(options: NotionClientOptions) {
+  const {
+    token,
+    fetch: fetchImpl = (input, init) => fetch(input, init),
+    notionVersion = NOTION_VERSION,
+    rateLimiter = sharedRateLimiter,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    sleep = defaultSleep
+  } = options;
+
+  async function request<T>(path: string, { method = 'GET', body, query }: RequestOptions = {}): Promise<T> {
+    const params = new URLSearchParams(Object.entries(query ?? {}).filter((entry): entry is [string, string] => Boolean(entry[1])));
+    const search = params.toString();
+    const url = `${NOTION_API_BASE}${path}${search ? `?${search}` : ''}`;
+
+    const send = async () => {
+      await rateLimiter.take();
+      return fetchImpl(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Notion-Version': notionVersion,
+          'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    };
+    const { res, json, retryAfterMs } = await sendWithRetry(send, {
+      maxRetries,
+      sleep,
+      onRetry: (attempt, delayMs) => console.log('notion rate limited, retrying', { method, path, attempt, delayMs })
+    });
+    if (res.ok) return json as T;
+
+    const error = json as NotionErrorBody;
+    const message = `Notion ${method} ${path} failed with status ${res.status}${error.message ? `: ${error.message}` : ''}`;
+    console.error('notion api error', { method, path, status: res.status, code: error.code, requestId: error.request_id });
+    if (res.status === 404) throw new NotionNotFoundError(message, error.code, error.request_id);
+    if (isRetryableStatus(res.status)) {
+      throw new NotionRetryableError(message, res.status, retryAfterMs, error.code, error.request_id);
+    }
+    throw new NotionApiError(message, res.status, error.code, error.request_id);
+  }
+
+  async function* paginate<T>(path: string, options: RequestOptions = {}): AsyncGenerator<T> {
+    let cursor: string | undefined;
+    do {
+      const list =
+        options.method === 'POST'
+          ? await request<NotionList<T>>(path, {
+              ...options,
+              body: { page_size: PAGE_SIZE, ...(options.body as object), ...(cursor ? { start_cursor: cursor } : {}) }
+            })
+          : await request<NotionList<T>>(path, {
+              ...options,
+              query: { ...options.query, page_size: String(PAGE_SIZE), start_cursor: cursor }
+            });
+      yield* list.results ?? [];
+      cursor = list.has_more ? (list.next_cursor ?? undefined) : undefined;
+    } while (cursor);
+  }
+
+  async function listBlockChildren(blockId: string, { recursive = true } = {}): Promise<NotionBlock[]> {
+    const blocks: NotionBlock[] = [];
+    for await (const block of paginate<NotionBlock>(`/blocks/${blockId}/children`)) blocks.push(block);
+    if (!recursive) return blocks;
+    for (const block of blocks) {
+      // Child pages and databases are separate documents, so don't inline them
+      if (block.has_children && block.type !== 'child_page' && block.type !== 'child_database') {
+        block.children = await listBlockChildren(block.id);
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * A single property with every value. Page objects cut title, rich_text, relation and people
+   * properties off at 25 entries; this endpoint pages through all of them.
+   */
+  async function getPageProperty(pageId: string, propertyId: string): Promise<NotionPropertyValue> {
+    const first = await request<NotionPropertyItem | NotionPropertyItemList>(`/pages/${pageId}/properties/${propertyId}`);
+    if (first.object === 'property_item') return first as NotionPropertyValue;
+
+    const { type } = first.property_item;
+    const items = [...first.results];
+    let cursor = first.has_more ? first.next_cursor : null;
+    while (cursor) {
+      const next = await request<NotionPropertyItemList>(`/pages/${pageId}/properties/${propertyId}`, {
+        query: { start_cursor: cursor }
+      });
+      items.push(...next.results);
+      cursor = next.has_more ? next.next_cursor : null;
+    }
+    return { type, [type]: items.map(item => item[type]) } as NotionPropertyValue;
+  }
+
+  return {
+    getPage: (pageId: string) => request<NotionPage>(`/pages/${pageId}`),
+    getPageProperty,
+    listBlockChildren,
+    queryDatabase: (databaseId: string, query: NotionDatabaseQuery = {}) =>
+      paginate<NotionPage>(`/databases/${databaseId}/query`, { method: 'POST', body: query }),
+    // One page of results, for callers that walk the database across several requests
+    queryDatabasePage: (databaseId: string, query: NotionDatabaseQuery = {}) =>
+      request<NotionList<NotionPage>>(`/databases/${databaseId}/query`, { method: 'POST', body: query }),
+    getDatabase: (databaseId: string) => request<NotionDatabase>(`/databases/${databaseId}`),
+    createPage: (databaseId: string, properties: NotionPropertyWrites) =>
+      request<NotionPage>('/pages', { method: 'POST', body: { parent: { database_id: databaseId }, properties } }),
+    updatePage: (pageId: string, update: { properties?: NotionPropertyWrites; archived?: boolean }) =>
+      request<NotionPage>(`/pages/${pageId}`, { method: 'PATCH', body: update }),
+    getSelf: () => request<NotionUser>('/users/me')
+  };
+}
+
+export type NotionClient = ReturnType<typeof createNotionClient>;
+
+export function getNotionClient(token = process.env.NOTION_TOKEN || ''): NotionClient {
+  return createNotionClient({ token });
+}
@@ -0,0 +1,44 @@
+import { RetryableSyncError } from '@/lib/http-retry';
+
+// Notion's error body: { object: 'error', status, code, message, request_id }
+export type NotionErrorBody = {
+  object?: 'error';
+  status?: number;
+  code?: string;
+  message?: string;
+  request_id?: string;
+};
+
+export class NotionApiError extends Error {
+  constructor(
+    message: string,
+    readonly status: number,
+    readonly code: string | undefined,
+    readonly requestId: string | undefined
+  ) {
+    super(message);
+    this.name = 'NotionApiError';
+  }
+}
+
+// The page, block or database doesn't exist or isn't shared with the integration
+export class NotionNotFoundError extends NotionApiError {
+  constructor(message: string, code: string | undefined, requestId: string | undefined) {
+    super(message, 404, code, requestId);
+    this.name = 'NotionNotFoundError';
+  }
+}
+
+// Rate limits and server errors that outlasted the client's own retries; the sync queue retries these
+export class NotionRetryableError extends RetryableSyncError {
+  constructor(
+    message: string,
+    status: number,
+    retryAfterMs: number | undefined,
+    readonly code: string | undefined,
+    readonly requestId: string | undefined
+  ) {
+    super(message, status, retryAfterMs);
+    this.name = 'NotionRetryableError';
+  }
+}
@@ -0,0 +1,4 @@
+export { createNotionClient, getNotionClient, NOTION_VERSION, type NotionClient, type NotionClientOptions } from '@/lib/notion/client';
+export { NotionApiError, NotionNotFoundError, NotionRetryableError } from '@/lib/notion/errors';
+export { createTokenBucket, type RateLimiter } from '@/lib/notion/token-bucket';
+export type * from '@/lib/notion/types';
@@ -0,0 +1,42 @@
+import { sleep as defaultSleep } from '@/lib/http-retry';
+
+export type RateLimiter = { take(): Promise<void> };
+
+export type TokenBucketOptions = {
+  // Requests allowed per second on average
+  ratePerSecond: number;
+  // Requests allowed back to back before the rate applies
+  burst: number;
+  now?: () => number;
+  sleep?: (ms: number) => Promise<void>;
+};
+
+export function createTokenBucket(options: TokenBucketOptions): RateLimiter {
+  const { ratePerSecond, burst, now = () => Date.now(), sleep = defaultSleep } = options;
+  let tokens = burst;
+  let updatedAt = now();
+  // Waiters queue up behind each other so tokens go out in call order
+  let queue: Promise<void> = Promise.resolve();
+
+  const refill = () => {
+    const at = now();
+    tokens = Math.min(burst, tokens + ((at - updatedAt) / 1000) * ratePerSecond);
+    updatedAt = at;
+  };
+
+  const takeNext = async () => {
+    refill();
+    while (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    take: () => {
+      queue = queue.then(takeNext);
+      return queue;
+    }
+  };
+}
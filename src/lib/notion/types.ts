@@ -0,0 +1,65 @@
+import type { NotionProperties, NotionPropertyValue } from '@/lib/field-mapping';
+import type { NotionRichTextItem } from '@/lib/notion-rich-text';
+
+type NotionPageFile = { type: string; file?: { url: string }; external?: { url: string } };
+
+export type NotionPage = {
+  object: 'page';
+  id: string;
+  archived?: boolean;
+  in_trash?: boolean;
+  last_edited_time?: string;
+  parent?: { type: string; database_id?: string; page_id?: string };
+  cover?: NotionPageFile | null;
+  icon?: (NotionPageFile & { emoji?: string }) | null;
+  properties: NotionProperties;
+};
+
+export type NotionDatabase = {
+  object: 'database';
+  id: string;
+  title?: NotionRichTextItem[];
+  properties: Record<string, { id: string; name: string; type: string }>;
+};
+
+export type NotionBlock = {
+  id: string;
+  type: string;
+  has_children?: boolean;
+  children?: NotionBlock[];
+  [key: string]: unknown;
+};
+
+export type NotionUser = { object: 'user'; id: string; type?: 'person' | 'bot'; name?: string };
+
+// Property values in the shape the Notion API accepts on create and update
+export type NotionPropertyWrites = Record<string, Record<string, unknown>>;
+
+export type NotionList<T> = {
+  object: 'list';
+  results: T[];
+  has_more: boolean;
+  next_cursor: string | null;
+};
+
+// One entry of a paginated property (title, rich_text, relation, people)
+export type NotionPropertyItem = {
+  object: 'property_item';
+  id: string;
+  type: string;
+  title?: NotionRichTextItem;
+  rich_text?: NotionRichTextItem;
+  relation?: { id: string };
+  people?: NonNullable<NotionPropertyValue['people']>[number];
+} & Record<string, unknown>;
+
+export type NotionPropertyItemList = NotionList<NotionPropertyItem> & {
+  property_item: { id: string; type: string };
+};
+
+export type NotionDatabaseQuery = {
+  filter?: Record<string, unknown>;
+  sorts?: Record<string, unknown>[];
+  page_size?: number;
+  start_cursor?: string;
+};
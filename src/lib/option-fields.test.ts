@@ -0,0 +1,52 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import type { FieldMapping } from '@/lib/field-mapping';
+import { resolveOptionFields } from '@/lib/option-fields';
+import type { WebflowCollection } from '@/lib/webflow';
+
+const collection: WebflowCollection = {
+  id: 'col-options',
+  fields: [
+    {
+      id: 'field-topic',
+      slug: 'topic',
+      type: 'Option',
+      validations: {
+        options: [
+          { id: 'opt-product', name: 'Product' },
+          { id: 'opt-company', name: 'Company' }
+        ]
+      }
+    }
+  ]
+} as WebflowCollection;
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('resolveOptionFields', () => {
+  it('sends a single option id when a multi_select goes into an Option field', async () => {
+    vi.stubGlobal('fetch', async () => new Response(JSON.stringify(collection)));
+    const mapping: FieldMapping = { fields: [{ notion: 'Topics', type: 'multi_select', webflow: 'topic' }] };
+    const fieldData: Record<string, unknown> = { topic: ['Launch', 'company', 'Product'] };
+
+    const unknown = await resolveOptionFields(fieldData, mapping, collection.id);
+
+    expect(fieldData.topic).toBe('opt-company');
+    expect(unknown).toEqual([{ field: 'topic', value: 'Launch', policy: 'drop' }]);
+  });
+
+  it('clears the fallback field when every value matches an option', async () => {
+    vi.stubGlobal('fetch', async () => new Response(JSON.stringify(collection)));
+    const option = { unknown: 'fallback' as const, fallbackField: 'topic-other' };
+    const mapping: FieldMapping = { fields: [{ notion: 'Topic', type: 'select', webflow: 'topic', option }] };
+
+    const unmatched: Record<string, unknown> = { topic: 'Launch' };
+    await resolveOptionFields(unmatched, mapping, collection.id);
+    expect(unmatched).toEqual({ topic: null, 'topic-other': 'Launch' });
+
+    const matched: Record<string, unknown> = { topic: 'Product' };
+    await resolveOptionFields(matched, mapping, collection.id);
+    expect(matched).toEqual({ topic: 'opt-product', 'topic-other': '' });
+  });
+});
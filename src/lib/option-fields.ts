@@ -0,0 +1,63 @@
+import type { FieldMapping, OptionFieldConfig } from '@/lib/field-mapping';
+import { getWebflowCollection, type WebflowCollectionField } from '@/lib/webflow-items';
+
+export type UnknownOption = { field: string; value: string; policy: NonNullable<OptionFieldConfig['unknown']> };
+
+export class UnknownOptionError extends Error {
+  constructor(readonly unknownOptions: UnknownOption[]) {
+    super(`Unknown Webflow option values: ${unknownOptions.map(option => `${option.field}="${option.value}"`).join(', ')}`);
+    this.name = 'UnknownOptionError';
+  }
+}
+
+function findOptionId(field: WebflowCollectionField, value: string, config: OptionFieldConfig | undefined): string | undefined {
+  const aliased = Object.entries(config?.aliases ?? {}).find(([alias]) => alias.toLowerCase() === value.toLowerCase());
+  const name = (aliased?.[1] ?? value).toLowerCase();
+  return field.validations?.options?.find(option => option.name.toLowerCase() === name)?.id;
+}
+
+/**
+ * Webflow Option fields take the option's id, not its label. Replace the Notion select names in
+ * `fieldData` with ids from the collection schema; unknown values are dropped, copied into a
+ * fallback text field, or fail the sync, per the field's `option.unknown` policy (default drop).
+ */
+export async function resolveOptionFields(
+  fieldData: Record<string, unknown>,
+  mapping: FieldMapping,
+  collectionId: string
+): Promise<UnknownOption[]> {
+  const entries = mapping.fields.filter(entry => entry.type === 'select' || entry.type === 'multi_select' || entry.option);
+  if (entries.length === 0) return [];
+
+  const collection = await getWebflowCollection(collectionId);
+  const unknown: UnknownOption[] = [];
+
+  for (const entry of entries) {
+    const field = collection.fields.find(candidate => candidate.slug === entry.webflow);
+    const value = fieldData[entry.webflow];
+    if (field?.type !== 'Option' || value === undefined) continue;
+
+    const policy = entry.option?.unknown ?? 'drop';
+    const names = (Array.isArray(value) ? value : [value]).filter((name): name is string => typeof name === 'string');
+    const ids: string[] = [];
+    const unmatched: string[] = [];
+    for (const name of names) {
+      const id = findOptionId(field, name, entry.option);
+      if (id) ids.push(id);
+      else unmatched.push(name);
+    }
+
+    unknown.push(...unmatched.map(name => ({ field: entry.webflow, value: name, policy })));
+    // Cleared once every value matches, so a value that has since been fixed doesn't linger
+    if (policy === 'fallback' && entry.option?.fallbackField) {
+      fieldData[entry.option.fallbackField] = unmatched.join(', ');
+    }
+    // An Option field holds a single id, so a multi_select keeps its first matching option
+    fieldData[entry.webflow] = ids[0] ?? null;
+  }
+
+  if (unknown.length > 0) console.log('webflow unknown option values', { unknown });
+  const failing = unknown.filter(option => option.policy === 'fail');
+  if (failing.length > 0) throw new UnknownOptionError(failing);
+  return unknown;
+}
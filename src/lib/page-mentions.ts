@@ -0,0 +1,32 @@
+import { getItemLinkStore } from '@/lib/item-links';
+import { fetchNotionPage } from '@/lib/notion-pages';
+import type { MentionUrls } from '@/lib/notion-rich-text';
+import { routeForPage } from '@/lib/sync-routes';
+import { getWebflowCollection, getWebflowItem } from '@/lib/webflow-items';
+
+/**
+ * Webflow URLs for mentioned Notion pages that have a synced item, as `/<collection>/<item>`
+ * (the default collection template path), prefixed with WEBFLOW_SITE_URL when it is set.
+ * Pages without an item are left out and render as plain text.
+ */
+export async function resolveMentionUrls(pageIds: string[]): Promise<MentionUrls> {
+  const urls: MentionUrls = new Map();
+  const links = getItemLinkStore();
+  const siteUrl = (process.env.WEBFLOW_SITE_URL ?? '').replace(/\/+$/, '');
+  const notionToken = process.env.NOTION_TOKEN || '';
+
+  for (const pageId of new Set(pageIds)) {
+    const itemId = await links.getItemId(pageId);
+    if (!itemId) continue;
+    const route = routeForPage(await fetchNotionPage(pageId, notionToken));
+    if (!route) continue;
+    const [collection, item] = await Promise.all([
+      getWebflowCollection(route.collectionId),
+      getWebflowItem(route.collectionId, itemId)
+    ]);
+    const itemSlug = item?.fieldData?.slug;
+    if (!collection.slug || typeof itemSlug !== 'string') continue;
+    urls.set(pageId, `${siteUrl}/${collection.slug}/${itemSlug}`);
+  }
+  return urls;
+}
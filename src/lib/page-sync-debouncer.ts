@@ -0,0 +1,35 @@
+import type { DebounceRequest } from '@/lib/sync-debounce';
+import type { SyncJob } from '@/lib/sync-page';
+
+type PendingJob = { job: SyncJob; seq: number };
+
+/**
+ * One instance per Notion page (see `idFromName(pageId)`), plus one per page for its scheduled
+ * publish (`scheduledSyncSlot`). Every scheduled job replaces the pending one and pushes the alarm
+ * back, so a burst of edits ends in a single queued sync.
+ */
+export class PageSyncDebouncer {
+  constructor(
+    private readonly state: DurableObjectState,
+    private readonly env: CloudflareEnv
+  ) {}
+
+  async fetch(request: Request): Promise<Response> {
+    const { job, delayMs } = await request.json<DebounceRequest>();
+    const previous = await this.state.storage.get<PendingJob>('pending');
+    await this.state.storage.put('pending', { job, seq: (previous?.seq ?? 0) + 1 } satisfies PendingJob);
+    await this.state.storage.setAlarm(Date.now() + delayMs);
+    return new Response(null, { status: 204 });
+  }
+
+  async alarm(): Promise<void> {
+    const pending = await this.state.storage.get<PendingJob>('pending');
+    if (!pending) return;
+    await this.env.SYNC_QUEUE.send(pending.job);
+    console.log('debounced sync enqueued', { pageId: pending.job.pageId, eventId: pending.job.eventId });
+
+    // A job scheduled while we were sending has its own alarm; leave it in place
+    const current = await this.state.storage.get<PendingJob>('pending');
+    if (current?.seq === pending.seq) await this.state.storage.delete('pending');
+  }
+}
@@ -0,0 +1,93 @@
+import type { NotionProperties, NotionPropertyValue, PublishPolicy, WorkflowConfig } from '@/lib/field-mapping';
+import { publishWebflowItems, unpublishWebflowItem } from '@/lib/webflow-items';
+
+export type PublishOutcome =
+  | { status: 'published'; itemId: string }
+  | { status: 'unpublished'; itemId: string }
+  | { status: 'skipped'; reason: string }
+  | { status: 'failed'; itemId: string; error: string };
+
+function propertyText(property: NotionPropertyValue | undefined): string | undefined {
+  if (!property) return undefined;
+  return (
+    property.status?.name ??
+    property.select?.name ??
+    (property.rich_text ?? property.title)?.map(item => item.plain_text ?? '').join('')
+  );
+}
+
+export type ResolvedWorkflow = {
+  isDraft: boolean;
+  isArchived: boolean;
+  publish: boolean;
+  reason?: string;
+  // Set while a scheduled publish date is still in the future
+  publishAt?: string;
+};
+
+export function resolveWorkflowState(
+  workflow: WorkflowConfig | undefined,
+  properties: NotionProperties,
+  now = new Date()
+): ResolvedWorkflow {
+  if (!workflow) return { isDraft: false, isArchived: false, publish: true };
+
+  const value = propertyText(properties[workflow.property]) ?? '';
+  const stateName = Object.keys(workflow.states).find(name => name.toLowerCase() === value.toLowerCase());
+  const state = stateName ? workflow.states[stateName] : (workflow.fallback ?? { isDraft: true });
+  const isDraft = Boolean(state.isDraft);
+  const isArchived = Boolean(state.isArchived);
+  const publish = state.publish ?? (!isDraft && !isArchived);
+  if (!publish) return { isDraft, isArchived, publish, reason: `workflow state "${stateName ?? value}"` };
+
+  const publishAt = workflow.publishAtProperty ? properties[workflow.publishAtProperty]?.date?.start : undefined;
+  if (publishAt && Date.parse(publishAt) > now.getTime()) {
+    // Kept as a draft so a site-wide publish in Webflow doesn't release it early
+    return { isDraft: true, isArchived, publish: false, reason: `scheduled for ${publishAt}`, publishAt };
+  }
+  return { isDraft, isArchived, publish };
+}
+
+export function policyAllowsPublish(policy: PublishPolicy | undefined, properties: NotionProperties): boolean {
+  if (!policy || policy.mode === 'stage') return false;
+  if (!policy.when) return true;
+  return propertyText(properties[policy.when.property])?.toLowerCase() === policy.when.equals.toLowerCase();
+}
+
+/**
+ * Publish a freshly staged item, or take it off the site when it has just become a draft or been
+ * archived. Failures are reported rather than thrown: the staged write already succeeded, and the
+ * next sync retries the publish because the item still has unpublished changes.
+ */
+export async function publishStagedItem(
+  policy: PublishPolicy | undefined,
+  allowed: { publish: boolean; reason?: string },
+  item: { collectionId: string; itemId?: string; wroteLive?: boolean; hasUnpublishedChanges?: boolean; unpublish?: boolean }
+): Promise<PublishOutcome> {
+  const { itemId } = item;
+  if (!policy || policy.mode === 'stage') return { status: 'skipped', reason: 'stage only' };
+  if (!itemId) return { status: 'skipped', reason: 'no item' };
+  if (item.unpublish) {
+    try {
+      await unpublishWebflowItem(item.collectionId, itemId);
+      return { status: 'unpublished', itemId };
+    } catch (err) {
+      const error = err instanceof Error ? err.message : String(err);
+      console.error('webflow unpublish failed', { itemId, error });
+      return { status: 'failed', itemId, error };
+    }
+  }
+  if (!allowed.publish) return { status: 'skipped', reason: allowed.reason ?? 'publish condition not met' };
+  // Live writes reach the site as part of the update itself
+  if (item.wroteLive) return { status: 'published', itemId };
+  if (!item.hasUnpublishedChanges) return { status: 'skipped', reason: 'already published' };
+
+  try {
+    await publishWebflowItems(item.collectionId, [itemId]);
+    return { status: 'published', itemId };
+  } catch (err) {
+    const error = err instanceof Error ? err.message : String(err);
+    console.error('webflow publish failed', { itemId, error });
+    return { status: 'failed', itemId, error };
+  }
+}
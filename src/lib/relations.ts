@@ -0,0 +1,53 @@
+import { getItemLinkStore } from '@/lib/item-links';
+
+export type RelationContext = {
+  // Pages whose sync is in progress further up the chain, outermost first
+  ancestors: string[];
+  // Pages that dropped a reference to break a cycle and need another sync afterwards
+  deferred: Set<string>;
+  // Dry runs only use existing links and never sync a related page
+  dryRun?: boolean;
+};
+
+export type SyncRelatedPage = (pageId: string, context: RelationContext) => Promise<string | undefined>;
+
+const MAX_RELATION_DEPTH = 3;
+
+export function createRelationContext(pageId: string, dryRun = false): RelationContext {
+  return { ancestors: [pageId], deferred: new Set(), dryRun };
+}
+
+/**
+ * Map related Notion page ids to Webflow item ids. Pages that were never synced are synced on
+ * demand, unless that would loop back to a page still being synced; the reference is dropped
+ * for now and the current page is queued for another pass once the chain completes.
+ */
+export async function resolveRelatedItemIds(
+  pageIds: string[],
+  context: RelationContext,
+  syncRelatedPage: SyncRelatedPage
+): Promise<string[]> {
+  const links = getItemLinkStore();
+  const currentPageId = context.ancestors[context.ancestors.length - 1];
+  const itemIds: string[] = [];
+
+  for (const pageId of pageIds) {
+    const linked = await links.getItemId(pageId);
+    if (linked) {
+      itemIds.push(linked);
+      continue;
+    }
+    if (context.dryRun) continue;
+    if (context.ancestors.includes(pageId) || context.ancestors.length >= MAX_RELATION_DEPTH) {
+      console.log('relation deferred', { pageId: currentPageId, relatedPageId: pageId, depth: context.ancestors.length });
+      context.deferred.add(currentPageId);
+      continue;
+    }
+
+    console.log('relation sync on demand', { pageId: currentPageId, relatedPageId: pageId });
+    const itemId = await syncRelatedPage(pageId, { ...context, ancestors: [...context.ancestors, pageId] });
+    if (itemId) itemIds.push(itemId);
+  }
+
+  return itemIds;
+}
@@ -0,0 +1,100 @@
+import { isEmptyFieldValue, type FieldMapping, type FieldMappingEntry } from '@/lib/field-mapping';
+import type { NotionPropertyWrites } from '@/lib/notion-pages';
+import type { WebflowCollectionField } from '@/lib/webflow-items';
+
+// Notion caps each rich text object at 2000 characters
+const NOTION_TEXT_CHUNK = 2000;
+
+/**
+ * Entries whose Webflow value can be written back to Notion without losing anything. Files,
+ * relations and people only exist on the Notion side, `first` and `join` can't be undone, an
+ * Option field keeps only the first of a multi_select's values, and RichText fields hold HTML that
+ * Notion text properties can't represent.
+ */
+export function reversibleEntries(
+  mapping: FieldMapping,
+  fields: WebflowCollectionField[]
+): { entry: FieldMappingEntry; field: WebflowCollectionField }[] {
+  const generated = new Set([mapping.bodyField, mapping.coverField, mapping.iconField, mapping.notionIdField]);
+  return mapping.fields.flatMap(entry => {
+    const field = fields.find(candidate => candidate.slug === entry.webflow);
+    if (!field || generated.has(entry.webflow) || field.type === 'RichText') return [];
+    if (['files', 'relation', 'people'].includes(entry.type)) return [];
+    if (entry.transform === 'first' || entry.transform === 'join') return [];
+    if (entry.type === 'multi_select' && field.type === 'Option') return [];
+    return [{ entry, field }];
+  });
+}
+
+function optionName(entry: FieldMappingEntry, field: WebflowCollectionField, id: unknown): string | undefined {
+  const name = field.validations?.options?.find(option => option.id === id)?.name;
+  if (!name) return undefined;
+  // Aliases map Notion values to Webflow names, so look them up backwards
+  const alias = Object.entries(entry.option?.aliases ?? {}).find(([, target]) => target.toLowerCase() === name.toLowerCase());
+  return alias?.[0] ?? name;
+}
+
+/**
+ * The Webflow value in the shape `buildFieldData` produces for the entry, so it can be compared
+ * with what the Notion page currently maps to. Option ids become option names.
+ */
+export function webflowToMappedValue(entry: FieldMappingEntry, field: WebflowCollectionField, value: unknown): unknown {
+  if (value === null || value === undefined || value === '') return undefined;
+  if (field.type === 'Option') {
+    return optionName(entry, field, value);
+  }
+  return value;
+}
+
+// Webflow stores dates with a time part, and select names compare without case like option matching does
+export function sameMappedValue(entry: FieldMappingEntry, a: unknown, b: unknown): boolean {
+  if (isEmptyFieldValue(a) || isEmptyFieldValue(b)) {
+    return (isEmptyFieldValue(a) && isEmptyFieldValue(b)) || (entry.type === 'checkbox' && !a && !b);
+  }
+  if (entry.type === 'date' && typeof a === 'string' && typeof b === 'string') return Date.parse(a) === Date.parse(b);
+  if (entry.type === 'select' || entry.type === 'multi_select') {
+    return JSON.stringify(a).toLowerCase() === JSON.stringify(b).toLowerCase();
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function textObjects(value: unknown): { text: { content: string } }[] {
+  const text = value === undefined ? '' : String(value);
+  const chunks: { text: { content: string } }[] = [];
+  for (let start = 0; start < text.length; start += NOTION_TEXT_CHUNK) {
+    chunks.push({ text: { content: text.slice(start, start + NOTION_TEXT_CHUNK) } });
+  }
+  return chunks;
+}
+
+// Turn a mapped value back into a Notion property write; an undefined value clears the property
+export function toNotionPropertyWrite(entry: FieldMappingEntry, value: unknown): Record<string, unknown> {
+  switch (entry.type) {
+    case 'title':
+      return { title: textObjects(value) };
+    case 'rich_text':
+      return { rich_text: textObjects(value) };
+    case 'select':
+      return { select: value === undefined ? null : { name: String(value) } };
+    case 'multi_select':
+      return { multi_select: (Array.isArray(value) ? value : value === undefined ? [] : [value]).map(name => ({ name: String(name) })) };
+    case 'date':
+      return { date: value === undefined ? null : { start: String(value) } };
+    case 'number':
+      return { number: value === undefined ? null : Number(value) };
+    case 'checkbox':
+      return { checkbox: Boolean(value) };
+    case 'url':
+      return { url: value === undefined ? null : String(value) };
+    case 'email':
+      return { email: value === undefined ? null : String(value) };
+    default:
+      throw new Error(`Notion property type "${entry.type}" can't be written back`);
+  }
+}
+
+export function buildNotionPropertyWrites(
+  entries: { entry: FieldMappingEntry; value: unknown }[]
+): NotionPropertyWrites {
+  return Object.fromEntries(entries.map(({ entry, value }) => [entry.notion, toNotionPropertyWrite(entry, value)]));
+}
@@ -0,0 +1,128 @@
+import { getFieldHashStore, hashFieldData, hashFieldValue, pickFields, type FieldHashes } from '@/lib/field-diff';
+import type { ConflictPolicy } from '@/lib/field-mapping';
+import { getKeyValueStore } from '@/lib/kv-store';
+import type { WebflowItem } from '@/lib/webflow-items';
+
+// The item as Webflow stored it right after our last write
+export type SyncSnapshot = { syncedAt: string; fields: FieldHashes };
+
+export type FieldConflict = { field: string; notion: unknown; webflow: unknown };
+
+export type SyncConflict = {
+  itemId: string;
+  pageId: string;
+  collectionId: string;
+  detectedAt: string;
+  lastSyncedAt: string;
+  webflowUpdatedAt: string;
+  notion: Record<string, unknown>;
+  webflow: Record<string, unknown>;
+  diff: FieldConflict[];
+};
+
+export type ConflictOutcome = { policy: ConflictPolicy; fields: string[] };
+
+export type SnapshotStore = {
+  get(itemId: string): Promise<SyncSnapshot | null>;
+  set(itemId: string, snapshot: SyncSnapshot): Promise<void>;
+};
+
+export type ConflictStore = {
+  get(itemId: string): Promise<SyncConflict | null>;
+  put(conflict: SyncConflict): Promise<void>;
+  delete(itemId: string): Promise<void>;
+  list(): Promise<SyncConflict[]>;
+};
+
+export function getSnapshotStore(): SnapshotStore {
+  const snapshots = getKeyValueStore<SyncSnapshot>('last-sync:');
+  return { get: itemId => snapshots.get(itemId), set: (itemId, snapshot) => snapshots.put(itemId, snapshot) };
+}
+
+export function getConflictStore(): ConflictStore {
+  const conflicts = getKeyValueStore<SyncConflict>('conflict:');
+  return {
+    get: itemId => conflicts.get(itemId),
+    put: conflict => conflicts.put(conflict.itemId, conflict),
+    delete: itemId => conflicts.delete(itemId),
+    list: () => conflicts.list()
+  };
+}
+
+// Called with the item Webflow returns from a write; partial responses keep the older field hashes
+export async function recordSyncSnapshot(itemId: string, item: Partial<WebflowItem>): Promise<void> {
+  const store = getSnapshotStore();
+  const previous = await store.get(itemId);
+  await store.set(itemId, {
+    syncedAt: item.lastUpdated ?? new Date().toISOString(),
+    fields: { ...previous?.fields, ...hashFieldData(item.fieldData ?? {}) }
+  });
+}
+
+/**
+ * Fields about to be overwritten that someone changed in Webflow since our last write. Only items
+ * whose `lastUpdated` is past the recorded sync time are checked; items synced before snapshots
+ * were recorded never conflict.
+ */
+export function webflowEditedFields(item: WebflowItem, snapshot: SyncSnapshot | null, fields: string[]): string[] {
+  if (!snapshot || !item.lastUpdated) return [];
+  if (Date.parse(item.lastUpdated) <= Date.parse(snapshot.syncedAt)) return [];
+  return fields.filter(field => snapshot.fields[field] !== hashFieldValue(item.fieldData?.[field]));
+}
+
+/**
+ * Apply the conflict policy to a pending update and return the fields that may still be written.
+ * notion-wins writes everything; webflow-wins keeps the Webflow values and marks the Notion values
+ * as sent, so only a later Notion edit overwrites them; hold keeps the Webflow values and stores
+ * the conflict until it is resolved through the admin endpoint.
+ */
+export async function applyConflictPolicy(args: {
+  pageId: string;
+  collectionId: string;
+  item: WebflowItem;
+  fieldData: Record<string, unknown>;
+  changedFields: string[];
+  policy: ConflictPolicy;
+}): Promise<{ writeFields: string[]; conflict?: ConflictOutcome }> {
+  const { pageId, collectionId, item, fieldData, changedFields, policy } = args;
+  const snapshot = await getSnapshotStore().get(item.id);
+  // A held field stays held until it is resolved, even after other fields were written
+  const held = policy === 'hold' ? await getConflictStore().get(item.id) : null;
+  const heldFields = (held?.diff ?? []).map(entry => entry.field).filter(field => changedFields.includes(field));
+  const fields = [...new Set([...webflowEditedFields(item, snapshot, changedFields), ...heldFields])];
+  if (fields.length === 0) {
+    // Notion came round to the Webflow values, so there is nothing left to resolve
+    if (held) await getConflictStore().delete(item.id);
+    return { writeFields: changedFields };
+  }
+
+  console.log('webflow conflict detected', { itemId: item.id, pageId, fields, policy });
+  const conflict = { policy, fields };
+  if (policy === 'notion-wins') return { writeFields: changedFields, conflict };
+
+  const writeFields = changedFields.filter(field => !fields.includes(field));
+  if (policy === 'webflow-wins') {
+    await settleNotionValues(item.id, pickFields(fieldData, fields));
+    return { writeFields, conflict };
+  }
+
+  await getConflictStore().put({
+    itemId: item.id,
+    pageId,
+    collectionId,
+    detectedAt: held?.detectedAt ?? new Date().toISOString(),
+    lastSyncedAt: held?.lastSyncedAt ?? snapshot?.syncedAt ?? '',
+    webflowUpdatedAt: item.lastUpdated ?? '',
+    notion: fieldData,
+    webflow: item.fieldData ?? {},
+    diff: fields.map(field => ({ field, notion: fieldData[field], webflow: item.fieldData?.[field] }))
+  });
+  return { writeFields, conflict };
+}
+
+// Treat these Notion values as already sent, so change detection leaves the Webflow values alone
+export async function settleNotionValues(itemId: string, values: Record<string, unknown>): Promise<void> {
+  const hashes = getFieldHashStore();
+  const lastSent = await hashes.get(itemId);
+  await hashes.set(itemId, { ...lastSent, ...hashFieldData(values) });
+}
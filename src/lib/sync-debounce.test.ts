@@ -0,0 +1,48 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createLocalDebouncer, scheduledSyncSlot } from '@/lib/sync-debounce';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createLocalDebouncer', () => {
+  it('waits out delays longer than setTimeout can hold', async () => {
+    vi.useFakeTimers();
+    const enqueue = vi.fn(async () => {});
+    await createLocalDebouncer(enqueue).schedule({ pageId: 'page-a' }, 60 * DAY_MS);
+
+    await vi.advanceTimersByTimeAsync(59 * DAY_MS);
+    expect(enqueue).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(DAY_MS);
+    expect(enqueue).toHaveBeenCalledWith({ pageId: 'page-a' });
+  });
+
+  it('only enqueues the latest job for a page', async () => {
+    vi.useFakeTimers();
+    const enqueue = vi.fn(async () => {});
+    const debouncer = createLocalDebouncer(enqueue);
+    await debouncer.schedule({ pageId: 'page-b', eventType: 'page.created' }, 30_000);
+    await vi.advanceTimersByTimeAsync(20_000);
+    await debouncer.schedule({ pageId: 'page-b', eventType: 'page.properties_updated' }, 30_000);
+
+    await vi.advanceTimersByTimeAsync(30_000);
+    expect(enqueue).toHaveBeenCalledTimes(1);
+    expect(enqueue).toHaveBeenCalledWith({ pageId: 'page-b', eventType: 'page.properties_updated' });
+  });
+
+  it("doesn't let an edit replace a page's scheduled sync", async () => {
+    vi.useFakeTimers();
+    const enqueue = vi.fn(async () => {});
+    const debouncer = createLocalDebouncer(enqueue);
+    await debouncer.schedule({ pageId: 'page-c', eventType: 'scheduled-publish' }, DAY_MS, scheduledSyncSlot('page-c'));
+    await debouncer.schedule({ pageId: 'page-c', eventType: 'page.properties_updated' }, 30_000);
+
+    await vi.advanceTimersByTimeAsync(30_000);
+    expect(enqueue).toHaveBeenCalledWith({ pageId: 'page-c', eventType: 'page.properties_updated' });
+    await vi.advanceTimersByTimeAsync(DAY_MS);
+    expect(enqueue).toHaveBeenLastCalledWith({ pageId: 'page-c', eventType: 'scheduled-publish' });
+    expect(enqueue).toHaveBeenCalledTimes(2);
+  });
+});
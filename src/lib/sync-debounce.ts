@@ -0,0 +1,97 @@
+import { getBindings } from '@/lib/cloudflare-bindings';
+import type { SyncJob } from '@/lib/sync-page';
+import { enqueueSyncJob } from '@/lib/sync-queue';
+
+export type DebounceRequest = { job: SyncJob; delayMs: number };
+
+// Jobs in the same slot replace each other; a page's edits share the slot named by its id
+type Debouncer = { schedule(job: SyncJob, delayMs: number, slot?: string): Promise<void> };
+
+// The largest delay setTimeout accepts (2^31-1 ms, about 24.8 days)
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+export function debounceWindowMs(): number {
+  const seconds = process.env.SYNC_DEBOUNCE_SECONDS;
+  return (seconds === undefined || seconds === '' ? 30 : Number(seconds)) * 1000;
+}
+
+export function createDurableObjectDebouncer(namespace: DurableObjectNamespace): Debouncer {
+  return {
+    schedule: async (job, delayMs, slot = job.pageId) => {
+      const stub = namespace.get(namespace.idFromName(slot));
+      const res = await stub.fetch('https://page-sync-debouncer/schedule', {
+        method: 'POST',
+        body: JSON.stringify({ job, delayMs } satisfies DebounceRequest)
+      });
+      if (!res.ok) throw new Error(`Debouncer rejected job with status ${res.status}`);
+    }
+  };
+}
+
+/**
+ * Timer-based stand-in for the PageSyncDebouncer Durable Object, used by `next dev` and tests.
+ * Each new job in a slot restarts its timer; only the latest job is enqueued.
+ */
+export function createLocalDebouncer(enqueue: (job: SyncJob) => Promise<void>): Debouncer {
+  const pending = new Map<string, ReturnType<typeof setTimeout>>();
+  // Longer delays overflow and fire at once, so a far-off scheduled sync waits in steps of this
+  const arm = (job: SyncJob, delayMs: number, slot: string) => {
+    const stepMs = Math.min(delayMs, MAX_TIMER_DELAY_MS);
+    pending.set(
+      slot,
+      setTimeout(() => {
+        if (delayMs > stepMs) return arm(job, delayMs - stepMs, slot);
+        pending.delete(slot);
+        enqueue(job).catch(err => console.error('debounced enqueue failed', { pageId: job.pageId, err }));
+      }, stepMs)
+    );
+  };
+  return {
+    schedule: async (job, delayMs, slot = job.pageId) => {
+      clearTimeout(pending.get(slot));
+      arm(job, delayMs, slot);
+    }
+  };
+}
+
+let localDebouncer: Debouncer | undefined;
+
+// Notion emits an event every few seconds while someone types, so wait for a quiet window per page
+export async function scheduleSyncJob(job: SyncJob): Promise<{ delayMs: number }> {
+  const delayMs = debounceWindowMs();
+  if (delayMs <= 0) {
+    await enqueueSyncJob(job);
+    return { delayMs: 0 };
+  }
+
+  const namespace = getBindings().SYNC_DEBOUNCER;
+  if (namespace) {
+    await createDurableObjectDebouncer(namespace).schedule(job, delayMs);
+    return { delayMs };
+  }
+  if (!localDebouncer) {
+    console.log('SYNC_DEBOUNCER binding missing, debouncing in-process');
+    localDebouncer = createLocalDebouncer(enqueueSyncJob);
+  }
+  await localDebouncer.schedule(job, delayMs);
+  return { delayMs };
+}
+
+export function scheduledSyncSlot(pageId: string): string {
+  return `scheduled:${pageId}`;
+}
+
+// Re-run a page sync at a given time, e.g. when a scheduled publish date comes due. It has a slot
+// of its own, so edits debounced in the meantime don't replace it; a later date replaces it.
+export async function scheduleSyncAt(job: SyncJob, at: string): Promise<void> {
+  const delayMs = Math.max(0, Date.parse(at) - Date.now());
+  const slot = scheduledSyncSlot(job.pageId);
+  console.log('sync scheduled', { pageId: job.pageId, at, delayMs });
+  const namespace = getBindings().SYNC_DEBOUNCER;
+  if (namespace) {
+    await createDurableObjectDebouncer(namespace).schedule(job, delayMs, slot);
+    return;
+  }
+  localDebouncer ??= createLocalDebouncer(enqueueSyncJob);
+  await localDebouncer.schedule(job, delayMs, slot);
+}
@@ -0,0 +1,416 @@
+import { getNotionClient } from '@/lib/notion';
+import { blockMentionedPageIds, blocksToHtml, rewriteImageUrls } from '@/lib/notion-blocks';
+import { buildFieldData, type ConflictPolicy, type NotionProperties } from '@/lib/field-mapping';
+import { resolveOptionFields, type UnknownOption } from '@/lib/option-fields';
+import { getItemLinkStore } from '@/lib/item-links';
+import { localeMapping, primaryPageId, writeLocaleVariant, type LocaleOutcome } from '@/lib/localization';
+import {
+  policyAllowsPublish,
+  publishStagedItem,
+  resolveWorkflowState,
+  type PublishOutcome,
+  type ResolvedWorkflow
+} from '@/lib/publishing';
+import { createRelationContext, resolveRelatedItemIds, type RelationContext } from '@/lib/relations';
+import type { ConflictOutcome } from '@/lib/sync-conflicts';
+import { scheduleSyncAt } from '@/lib/sync-debounce';
+import { findSyncRoute, routeForPage, type RouteLocale, type SyncRoute } from '@/lib/sync-routes';
+import { enqueueSyncJob } from '@/lib/sync-queue';
+import {
+  expandTruncatedProperties,
+  fetchNotionPage,
+  isNotionPageRemoved,
+  pageFileUrl,
+  type NotionPage
+} from '@/lib/notion-pages';
+import { mentionedPageIds, richTextToHtml } from '@/lib/notion-rich-text';
+import { resolveMentionUrls } from '@/lib/page-mentions';
+import { createAssetMigrator, type AssetMigrator } from '@/lib/webflow-assets';
+import { writeWebflowUpserts } from '@/lib/webflow-bulk';
+import {
+  archiveWebflowItem,
+  getWebflowCollection,
+  loadWebflowItemIndex,
+  planWebflowUpsert,
+  writeWebflowUpsert,
+  type NotionData,
+  type UpsertPlan,
+  type UpsertResult,
+  type WebflowItemIndex
+} from '@/lib/webflow-items';
+
+export type SyncJob = {
+  pageId: string;
+  eventType?: string;
+  eventId?: string;
+  eventTimestamp?: string;
+  // Routes the job when the page itself can no longer be fetched, and always routes a removal:
+  // a page moved to another database is archived from the collection it left
+  databaseId?: string;
+  // The item a backfill planned to archive, which the page's link may no longer point to
+  itemId?: string;
+  // Overrides the mapping's policy, e.g. when a held conflict is resolved in Notion's favour
+  conflictPolicy?: ConflictPolicy;
+};
+
+export type SyncResult = {
+  action: 'created' | 'updated' | 'unchanged' | 'archived' | 'deleted' | 'skipped';
+  itemId?: string;
+  changedFields?: string[];
+  // Select values with no matching Webflow option
+  unknownOptions?: UnknownOption[];
+  // Reported apart from the staged write, which has already succeeded when publishing fails
+  publish?: PublishOutcome;
+  conflict?: ConflictOutcome;
+  // Secondary-locale variants written after the primary item
+  locales?: LocaleOutcome[];
+  webflowResponse?: unknown;
+};
+
+async function migrateFieldValue(value: unknown, migrate: AssetMigrator): Promise<unknown> {
+  if (typeof value === 'string') return migrate(value);
+  if (Array.isArray(value)) return Promise.all(value.map(item => migrateFieldValue(item, migrate)));
+  return value;
+}
+
+// buildFieldData yields plain text; Webflow RichText fields get the formatted runs as HTML instead
+async function renderRichTextFields(fieldData: Record<string, unknown>, properties: NotionProperties, route: SyncRoute) {
+  const collection = await getWebflowCollection(route.collectionId);
+  const entries = route.mapping.fields.filter(
+    entry =>
+      (entry.type === 'title' || entry.type === 'rich_text') &&
+      !entry.transform &&
+      fieldData[entry.webflow] !== undefined &&
+      collection.fields.find(field => field.slug === entry.webflow)?.type === 'RichText'
+  );
+  if (entries.length === 0) return;
+
+  const runs = entries.map(entry => {
+    const property = properties[entry.notion];
+    return entry.type === 'title' ? property?.title : property?.rich_text;
+  });
+  const mentionUrls = await resolveMentionUrls(runs.flatMap(mentionedPageIds));
+  entries.forEach((entry, index) => {
+    fieldData[entry.webflow] = richTextToHtml(runs[index], mentionUrls);
+  });
+}
+
+/**
+ * The mapped Webflow fieldData for a page, including the hidden Notion id field. Files are
+ * moved to Webflow assets because Notion's signed URLs expire after about an hour.
+ */
+export async function buildNotionData(
+  pageId: string,
+  properties: NotionProperties,
+  route: SyncRoute,
+  notionToken: string,
+  options: { page?: NotionPage | null; dryRun?: boolean; relations?: RelationContext } = {}
+): Promise<NotionData & { unknownOptions: UnknownOption[] }> {
+  const { page, dryRun = false } = options;
+  const { mapping } = route;
+  const relations = options.relations ?? createRelationContext(pageId, dryRun);
+  const migrate: AssetMigrator = createAssetMigrator({ upload: !dryRun }) ?? (async url => url);
+  const fieldData = buildFieldData(properties, mapping);
+  if (mapping.notionIdField) fieldData[mapping.notionIdField] = pageId;
+  await renderRichTextFields(fieldData, properties, route);
+
+  for (const entry of mapping.fields) {
+    const relatedPageIds = fieldData[entry.webflow];
+    if (!entry.reference || !Array.isArray(relatedPageIds)) continue;
+    const itemIds = await resolveRelatedItemIds(relatedPageIds, relations, syncRelatedPage);
+    fieldData[entry.webflow] = entry.reference === 'single' ? (itemIds[0] ?? null) : itemIds;
+  }
+
+  for (const entry of mapping.fields) {
+    if (entry.type === 'files' && fieldData[entry.webflow] !== undefined) {
+      fieldData[entry.webflow] = await migrateFieldValue(fieldData[entry.webflow], migrate);
+    }
+  }
+  const coverUrl = pageFileUrl(page?.cover);
+  if (mapping.coverField && coverUrl) fieldData[mapping.coverField] = await migrate(coverUrl);
+  const iconUrl = pageFileUrl(page?.icon);
+  if (mapping.iconField && iconUrl) fieldData[mapping.iconField] = await migrate(iconUrl);
+
+  // Editors write long-form posts in the page body, so it takes precedence over any mapped property
+  if (mapping.bodyField) {
+    const blocks = await getNotionClient(notionToken).listBlockChildren(pageId);
+    console.log('notion blocks fetched', { pageId, count: blocks.length });
+    await rewriteImageUrls(blocks, migrate);
+    const mentionUrls = await resolveMentionUrls(blockMentionedPageIds(blocks));
+    if (blocks.length > 0) fieldData[mapping.bodyField] = blocksToHtml(blocks, mentionUrls);
+  }
+
+  const unknownOptions = await resolveOptionFields(fieldData, mapping, route.collectionId);
+  return { id: pageId, fieldData, unknownOptions };
+}
+
+async function syncRelatedPage(pageId: string, relations: RelationContext): Promise<string | undefined> {
+  const result = await syncNotionPage({ pageId, eventType: 'relation' }, relations);
+  return result.itemId;
+}
+
+// A page worked out up to its Webflow write, so a batch can send the writes together
+type PreparedSync = {
+  job: SyncJob;
+  page: NotionPage;
+  route: SyncRoute;
+  workflow: ResolvedWorkflow;
+  allowed: { publish: boolean; reason?: string };
+  live: boolean;
+  unknownOptions: UnknownOption[];
+  context: RelationContext;
+  isRoot: boolean;
+  upsert: UpsertPlan;
+};
+
+// One listing per collection per batch, loaded the first time an unlinked page needs it
+type ItemIndexes = Map<string, Promise<WebflowItemIndex>>;
+
+function itemIndexLoader(indexes: ItemIndexes | undefined, collectionId: string, notionIdField: string | undefined) {
+  if (!indexes) return undefined;
+  return () => {
+    let index = indexes.get(collectionId);
+    if (!index) {
+      index = loadWebflowItemIndex(collectionId, notionIdField);
+      indexes.set(collectionId, index);
+    }
+    return index;
+  };
+}
+
+async function prepareNotionSync(
+  job: SyncJob,
+  relations?: RelationContext,
+  itemIndexes?: ItemIndexes
+): Promise<{ result: SyncResult } | PreparedSync> {
+  const { pageId, eventType: type } = job;
+  const isRoot = !relations;
+  const context = relations ?? createRelationContext(pageId);
+  const notionToken = process.env.NOTION_TOKEN || '';
+
+  const page = await fetchNotionPage(pageId, notionToken);
+  console.log('notion page fetched', { pageId, found: Boolean(page), archived: page?.archived, inTrash: page?.in_trash });
+
+  const route = type === 'page.deleted' && job.databaseId ? findSyncRoute(job.databaseId) : routeForPage(page, job.databaseId);
+  if (!route) {
+    console.log('sync skip: page is not in a routed database', { pageId, databaseId: page?.parent?.database_id });
+    return { result: { action: 'skipped' } };
+  }
+  const { mapping, collectionId } = route;
+  if (route.locale) return { result: await syncLocalePage(job, page, route, route.locale, notionToken) };
+
+  // A restored page is synced like any other edit, which clears isArchived on the Webflow item
+  const removed = type === 'page.deleted' || (type !== 'page.undeleted' && page !== null && isNotionPageRemoved(page));
+  if (removed) {
+    const slug = buildFieldData(page?.properties ?? {}, mapping).slug as string | undefined;
+    const hardDelete = process.env.WEBFLOW_DELETE_REMOVED_ITEMS === 'true';
+    const webflowResponse = await archiveWebflowItem(collectionId, pageId, slug, mapping.notionIdField, {
+      itemId: job.itemId,
+      hardDelete,
+      publish: mapping.publish
+    });
+    if (!webflowResponse) return { result: { action: 'skipped' } };
+    return { result: { action: hardDelete ? 'deleted' : 'archived', webflowResponse } };
+  }
+
+  // Without the page there is nothing authoritative to sync from
+  if (!page) {
+    console.log('sync skip: page not found or not shared with the integration', { pageId, type });
+    return { result: { action: 'skipped' } };
+  }
+
+  await expandTruncatedProperties(page, mapping.fields.map(entry => entry.notion), notionToken);
+  const { properties } = page;
+  const notionData = await buildNotionData(pageId, properties, route, notionToken, { page, relations: context });
+  console.log('derived notionData:', { id: notionData.id, fields: Object.keys(notionData.fieldData) });
+
+  // Webflow rejects items without a name or slug
+  if (!notionData.fieldData.slug || !notionData.fieldData.name) {
+    console.log('webflow skip: missing required fields', {
+      pageId,
+      hasSlug: Boolean(notionData.fieldData.slug),
+      hasTitle: Boolean(notionData.fieldData.name),
+    });
+    return { result: { action: 'skipped' } };
+  }
+
+  const workflow = resolveWorkflowState(mapping.workflow, properties);
+  const allowed = {
+    publish: workflow.publish && policyAllowsPublish(mapping.publish, properties),
+    reason: workflow.reason
+  };
+  const live = mapping.publish?.mode === 'live' && allowed.publish;
+  const upsert = await planWebflowUpsert(collectionId, notionData, {
+    notionIdField: mapping.notionIdField,
+    live,
+    isDraft: workflow.isDraft,
+    isArchived: workflow.isArchived,
+    conflictPolicy: job.conflictPolicy ?? mapping.conflicts,
+    itemIndex: itemIndexLoader(itemIndexes, collectionId, mapping.notionIdField)
+  });
+  return { job, page, route, workflow, allowed, live, unknownOptions: notionData.unknownOptions, context, isRoot, upsert };
+}
+
+// Pages of a per-locale database fill in their primary page's item for that locale and never get an item of their own
+async function syncLocalePage(
+  job: SyncJob,
+  page: NotionPage | null,
+  route: SyncRoute,
+  locale: RouteLocale,
+  notionToken: string
+): Promise<SyncResult> {
+  const { pageId } = job;
+  // Removing a translation leaves the variant as it was; the item goes with its primary page
+  if (!page || isNotionPageRemoved(page) || job.eventType === 'page.deleted') {
+    console.log('sync skip: locale page removed or not found', { pageId, cmsLocaleId: locale.cmsLocaleId });
+    return { action: 'skipped' };
+  }
+
+  await expandTruncatedProperties(page, [...route.mapping.fields.map(entry => entry.notion), locale.primaryRelation], notionToken);
+  const primaryId = primaryPageId(page.properties, route);
+  if (!primaryId) {
+    console.log('sync skip: locale page has no primary page', { pageId, relation: locale.primaryRelation });
+    return { action: 'skipped' };
+  }
+  // The primary item has to exist before a variant can be written to it
+  const itemId =
+    (await getItemLinkStore().getItemId(primaryId)) ?? (await syncNotionPage({ pageId: primaryId, eventType: 'locale' })).itemId;
+  if (!itemId) {
+    console.log('sync skip: primary page has no item', { pageId, primaryId });
+    return { action: 'skipped' };
+  }
+
+  const mapping = { ...route.mapping, notionIdField: undefined };
+  const notionData = await buildNotionData(pageId, page.properties, { ...route, mapping }, notionToken, { page });
+  const outcome = await writeLocaleVariant(route.collectionId, itemId, locale.cmsLocaleId, notionData.fieldData, {
+    live: mapping.publish?.mode === 'live'
+  });
+  return {
+    action: outcome.action,
+    itemId,
+    changedFields: outcome.changedFields,
+    unknownOptions: notionData.unknownOptions,
+    locales: [outcome]
+  };
+}
+
+// Variants from the page's suffixed properties, one per configured locale with at least one translated property
+async function syncSuffixedLocales(prepared: PreparedSync, itemId: string): Promise<LocaleOutcome[]> {
+  const { job, page, route, live } = prepared;
+  const notionToken = process.env.NOTION_TOKEN || '';
+  const outcomes: LocaleOutcome[] = [];
+  for (const locale of route.mapping.locales ?? []) {
+    const mapping = localeMapping(route.mapping, locale, page.properties);
+    if (!mapping) continue;
+    await expandTruncatedProperties(page, mapping.fields.map(entry => entry.notion), notionToken);
+    const { fieldData } = await buildNotionData(job.pageId, page.properties, { ...route, mapping }, notionToken, {
+      page,
+      relations: prepared.context
+    });
+    outcomes.push(await writeLocaleVariant(route.collectionId, itemId, locale.cmsLocaleId, fieldData, { live }));
+  }
+  return outcomes;
+}
+
+async function finishNotionSync(prepared: PreparedSync, upsert: UpsertResult): Promise<SyncResult> {
+  const { job, route, workflow, allowed, context, isRoot } = prepared;
+  const { pageId } = job;
+  const { itemId, wroteLive, hasUnpublishedChanges, unpublish, ...result } = upsert;
+  const locales = itemId ? await syncSuffixedLocales(prepared, itemId) : [];
+  const publish = await publishStagedItem(route.mapping.publish, allowed, {
+    collectionId: route.collectionId,
+    itemId,
+    wroteLive,
+    unpublish,
+    hasUnpublishedChanges: hasUnpublishedChanges || locales.some(locale => locale.action === 'updated')
+  });
+  console.log('webflow publish outcome', { pageId, ...publish });
+
+  if (workflow.publishAt) {
+    await scheduleSyncAt({ pageId, eventType: 'scheduled-publish' }, workflow.publishAt);
+  }
+  // Every page in the chain now has an item, so the references dropped to break cycles can be filled in
+  if (isRoot && itemId) {
+    for (const deferredPageId of context.deferred) {
+      await enqueueSyncJob({ pageId: deferredPageId, eventType: 'relation' });
+    }
+  }
+  return {
+    ...result,
+    itemId,
+    unknownOptions: prepared.unknownOptions,
+    publish,
+    ...(locales.length > 0 ? { locales } : {})
+  };
+}
+
+/**
+ * Sync one page. Called without `relations` for a queued job; related pages synced on demand
+ * pass the chain along so cycles can be detected.
+ */
+export async function syncNotionPage(job: SyncJob, relations?: RelationContext): Promise<SyncResult> {
+  const prepared = await prepareNotionSync(job, relations);
+  if ('result' in prepared) return prepared.result;
+  const { upsert } = prepared;
+  return finishNotionSync(prepared, upsert.action === 'unchanged' ? upsert.result : await writeWebflowUpsert(upsert));
+}
+
+/**
+ * Sync several pages with their Webflow writes sent through the bulk endpoints. Each job settles
+ * on its own, so a page that fails doesn't fail the rest of the batch.
+ */
+export async function syncNotionPages(jobs: SyncJob[]): Promise<PromiseSettledResult<SyncResult>[]> {
+  const outcomes: PromiseSettledResult<SyncResult>[] = new Array(jobs.length);
+  const prepared = new Map<number, PreparedSync>();
+  // Synced one by one after the batch, so no page gets two items
+  const deferred: number[] = [];
+  const pageIds = new Set<string>();
+  const itemIndexes: ItemIndexes = new Map();
+
+  for (const [index, job] of jobs.entries()) {
+    if (pageIds.has(job.pageId)) {
+      deferred.push(index);
+      continue;
+    }
+    pageIds.add(job.pageId);
+    try {
+      const outcome = await prepareNotionSync(job, undefined, itemIndexes);
+      if ('result' in outcome) outcomes[index] = { status: 'fulfilled', value: outcome.result };
+      else prepared.set(index, outcome);
+    } catch (reason) {
+      outcomes[index] = { status: 'rejected', reason };
+    }
+  }
+
+  // A related page synced on demand while preparing a later page already has its item
+  const links = getItemLinkStore();
+  for (const [index, { upsert }] of prepared) {
+    if (upsert.action === 'create' && (await links.getItemId(upsert.pageId))) {
+      prepared.delete(index);
+      deferred.push(index);
+    }
+  }
+
+  const pending = [...prepared.values()].flatMap(({ upsert }) => (upsert.action === 'unchanged' ? [] : [upsert]));
+  const written = await writeWebflowUpserts(pending);
+  for (const [index, entry] of prepared) {
+    const { upsert } = entry;
+    const outcome = upsert.action === 'unchanged' ? { ok: true as const, result: upsert.result } : written.get(upsert.pageId);
+    try {
+      if (!outcome) throw new Error(`No Webflow write outcome for page ${entry.job.pageId}`);
+      if (!outcome.ok) throw outcome.error;
+      outcomes[index] = { status: 'fulfilled', value: await finishNotionSync(entry, outcome.result) };
+    } catch (reason) {
+      outcomes[index] = { status: 'rejected', reason };
+    }
+  }
+
+  for (const index of deferred) {
+    try {
+      outcomes[index] = { status: 'fulfilled', value: await syncNotionPage(jobs[index]) };
+    } catch (reason) {
+      outcomes[index] = { status: 'rejected', reason };
+    }
+  }
+  return outcomes;
+}
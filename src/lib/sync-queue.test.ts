@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { RetryableSyncError } from '@/lib/http-retry';
+import { decideRetry } from '@/lib/sync-queue';
+
+describe('decideRetry', () => {
+  it('backs off exponentially from 5 seconds', () => {
+    const err = new RetryableSyncError('webflow update failed with status 503', 503);
+    expect(decideRetry(1, err, 5)).toEqual({ action: 'retry', delayMs: 5_000 });
+    expect(decideRetry(2, err, 5)).toEqual({ action: 'retry', delayMs: 10_000 });
+    expect(decideRetry(3, err, 5)).toEqual({ action: 'retry', delayMs: 20_000 });
+  });
+
+  it('caps the backoff at 15 minutes', () => {
+    const err = new RetryableSyncError('failed', 500);
+    expect(decideRetry(20, err, 50)).toEqual({ action: 'retry', delayMs: 15 * 60_000 });
+  });
+
+  it('waits as long as Retry-After asked', () => {
+    const err = new RetryableSyncError('rate limited', 429, 42_000);
+    expect(decideRetry(1, err, 5)).toEqual({ action: 'retry', delayMs: 42_000 });
+  });
+
+  it('retries network errors', () => {
+    expect(decideRetry(1, new TypeError('fetch failed'), 5).action).toBe('retry');
+  });
+
+  it('dead-letters errors that are not retryable', () => {
+    expect(decideRetry(1, new Error('Webflow rejected the item'), 5)).toEqual({ action: 'dead-letter' });
+  });
+
+  it('dead-letters once the attempts are used up', () => {
+    expect(decideRetry(5, new RetryableSyncError('failed', 503), 5)).toEqual({ action: 'dead-letter' });
+  });
+});
@@ -0,0 +1,149 @@
+import { getBindings } from '@/lib/cloudflare-bindings';
+import { getEventLedger, isStaleEvent, recordApplied } from '@/lib/event-ledger';
+import { isRetryableError, RetryableSyncError } from '@/lib/http-retry';
+import { getKeyValueStore } from '@/lib/kv-store';
+import { syncNotionPage, syncNotionPages, type SyncJob, type SyncResult } from '@/lib/sync-page';
+
+export type DeadLetter = {
+  job: SyncJob;
+  attempts: number;
+  error: string;
+  failedAt: string;
+};
+
+export type DeadLetterStore = {
+  put(entry: DeadLetter): Promise<void>;
+  list(): Promise<DeadLetter[]>;
+};
+
+export type RetryDecision = { action: 'retry'; delayMs: number } | { action: 'dead-letter' };
+
+type SyncJobHandler = (job: SyncJob) => Promise<unknown>;
+
+const BASE_RETRY_DELAY_MS = 5_000;
+const MAX_RETRY_DELAY_MS = 15 * 60_000;
+
+export function maxSyncAttempts(): number {
+  return Number(process.env.SYNC_MAX_ATTEMPTS) || 5;
+}
+
+// Exponential backoff from the attempt that just failed, unless the API told us how long to wait
+export function decideRetry(attempt: number, err: unknown, maxAttempts = maxSyncAttempts()): RetryDecision {
+  if (!isRetryableError(err) || attempt >= maxAttempts) return { action: 'dead-letter' };
+  const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  const retryAfter = err instanceof RetryableSyncError ? err.retryAfterMs : undefined;
+  return { action: 'retry', delayMs: retryAfter ?? backoff };
+}
+
+export function getDeadLetterStore(): DeadLetterStore {
+  const deadLetters = getKeyValueStore<DeadLetter>('dead-letter:', 'SYNC_DEAD_LETTERS');
+  return {
+    put: entry => deadLetters.put(`${entry.failedAt}:${entry.job.pageId}`, entry),
+    list: () => deadLetters.list()
+  };
+}
+
+async function deadLetter(job: SyncJob, attempts: number, err: unknown, store: DeadLetterStore) {
+  const error = err instanceof Error ? err.message : String(err);
+  console.error('sync job dead-lettered', { pageId: job.pageId, attempts, error });
+  await store.put({ job, attempts, error, failedAt: new Date().toISOString() });
+}
+
+// Jobs can sit in the queue long enough for a newer event for the same page to overtake them
+export async function processSyncJob(job: SyncJob): Promise<SyncResult> {
+  const ledger = getEventLedger();
+  if (isStaleEvent(job.eventTimestamp, await ledger.getLastApplied(job.pageId))) {
+    console.log('sync job skip: older than last applied event', { pageId: job.pageId, eventId: job.eventId });
+    return { action: 'skipped' };
+  }
+  const result = await syncNotionPage(job);
+  await recordApplied(ledger, job.pageId, job.eventTimestamp);
+  return result;
+}
+
+// Jobs of one queue batch are synced together, so their Webflow writes share bulk requests
+export async function processSyncBatch(jobs: SyncJob[]): Promise<PromiseSettledResult<SyncResult>[]> {
+  const ledger = getEventLedger();
+  const outcomes: PromiseSettledResult<SyncResult>[] = new Array(jobs.length);
+  const fresh: number[] = [];
+  for (const [index, job] of jobs.entries()) {
+    if (isStaleEvent(job.eventTimestamp, await ledger.getLastApplied(job.pageId))) {
+      console.log('sync job skip: older than last applied event', { pageId: job.pageId, eventId: job.eventId });
+      outcomes[index] = { status: 'fulfilled', value: { action: 'skipped' } };
+      continue;
+    }
+    fresh.push(index);
+  }
+
+  const synced = await syncNotionPages(fresh.map(index => jobs[index]));
+  for (const [position, index] of fresh.entries()) {
+    outcomes[index] = synced[position];
+    if (synced[position].status === 'fulfilled') await recordApplied(ledger, jobs[index].pageId, jobs[index].eventTimestamp);
+  }
+  return outcomes;
+}
+
+/**
+ * In-process stand-in for the Cloudflare Queue, used by `next dev` and tests.
+ * Jobs run on timers, so anything still pending is lost when the process exits.
+ */
+export function createLocalSyncQueue(handler: SyncJobHandler, deadLetters: DeadLetterStore) {
+  const run = async (job: SyncJob, attempt: number) => {
+    try {
+      await handler(job);
+    } catch (err) {
+      const decision = decideRetry(attempt, err);
+      if (decision.action === 'dead-letter') return deadLetter(job, attempt, err, deadLetters);
+      console.log('sync job retry scheduled', { pageId: job.pageId, attempt, delayMs: decision.delayMs });
+      setTimeout(() => void run(job, attempt + 1), decision.delayMs);
+    }
+  };
+
+  return {
+    send: async (job: SyncJob) => {
+      setTimeout(() => void run(job, 1), 0);
+    }
+  };
+}
+
+let localQueue: ReturnType<typeof createLocalSyncQueue> | undefined;
+
+export async function enqueueSyncJob(job: SyncJob): Promise<void> {
+  const queue = getBindings().SYNC_QUEUE;
+  if (queue) {
+    await queue.send(job);
+    return;
+  }
+  if (!localQueue) {
+    console.log('SYNC_QUEUE binding missing, running sync jobs in-process');
+    localQueue = createLocalSyncQueue(processSyncJob, getDeadLetterStore());
+  }
+  await localQueue.send(job);
+}
+
+// Only the jobs that failed are retried; the rest of the batch is acknowledged
+export async function consumeSyncBatch(batch: MessageBatch<SyncJob>): Promise<void> {
+  const deadLetters = getDeadLetterStore();
+  const outcomes = await processSyncBatch(batch.messages.map(message => message.body));
+  for (const [index, message] of batch.messages.entries()) {
+    const outcome = outcomes[index];
+    if (outcome.status === 'fulfilled') {
+      console.log('sync job done', {
+        pageId: message.body.pageId,
+        attempts: message.attempts,
+        action: outcome.value.action,
+        changedFields: outcome.value.changedFields
+      });
+      message.ack();
+      continue;
+    }
+    const decision = decideRetry(message.attempts, outcome.reason);
+    if (decision.action === 'dead-letter') {
+      await deadLetter(message.body, message.attempts, outcome.reason, deadLetters);
+      message.ack();
+      continue;
+    }
+    console.log('sync job retry scheduled', { pageId: message.body.pageId, attempt: message.attempts, delayMs: decision.delayMs });
+    message.retry({ delaySeconds: Math.ceil(decision.delayMs / 1000) });
+  }
+}
@@ -0,0 +1,92 @@
+import { loadFieldMapping, parseFieldMapping, type FieldMapping, type PublishPolicy } from '@/lib/field-mapping';
+import type { NotionPage } from '@/lib/notion-pages';
+
+export type SyncRoute = {
+  // Unset only for the single-collection setup without NOTION_DATABASE_ID, which takes every page
+  databaseId?: string;
+  collectionId: string;
+  mapping: FieldMapping;
+  // Set for a database that holds one secondary locale of the collection
+  locale?: RouteLocale;
+};
+
+export type RouteLocale = {
+  cmsLocaleId: string;
+  // Relation property linking each page to the primary-locale page it translates
+  primaryRelation: string;
+};
+
+type SyncRouteConfig = {
+  collectionId: string;
+  // Defaults to the NOTION_FIELD_MAPPING / bundled mapping
+  mapping?: unknown;
+  // Overrides the mapping's publish policy
+  publish?: PublishPolicy;
+  locale?: RouteLocale;
+};
+
+// Notion hands out ids both with and without dashes
+export function normalizeNotionId(id: string): string {
+  return id.replace(/-/g, '').toLowerCase();
+}
+
+export function parseSyncRoutes(input: unknown): SyncRoute[] {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('SYNC_ROUTES must be an object keyed by Notion database id');
+  }
+  return Object.entries(input as Record<string, SyncRouteConfig>).map(([databaseId, config]) => {
+    if (!config || typeof config.collectionId !== 'string' || !config.collectionId) {
+      throw new Error(`Sync route for database ${databaseId} needs a "collectionId"`);
+    }
+    const base = config.mapping === undefined ? loadFieldMapping() : (config.mapping as FieldMapping);
+    const mapping = parseFieldMapping(config.publish ? { ...base, publish: config.publish } : base);
+    const { locale } = config;
+    if (locale !== undefined && (typeof locale?.cmsLocaleId !== 'string' || typeof locale.primaryRelation !== 'string')) {
+      throw new Error(`Sync route for database ${databaseId} needs "locale.cmsLocaleId" and "locale.primaryRelation"`);
+    }
+    return { databaseId: normalizeNotionId(databaseId), collectionId: config.collectionId, mapping, ...(locale ? { locale } : {}) };
+  });
+}
+
+/**
+ * SYNC_ROUTES holds the routing table as JSON. Without it there is a single route built from
+ * WEBFLOW_COLLECTION_ID, the field mapping and (if set) NOTION_DATABASE_ID.
+ */
+export function loadSyncRoutes(): SyncRoute[] {
+  const fromEnv = process.env.SYNC_ROUTES;
+  if (fromEnv) return parseSyncRoutes(JSON.parse(fromEnv));
+  const databaseId = process.env.NOTION_DATABASE_ID;
+  return [
+    {
+      databaseId: databaseId ? normalizeNotionId(databaseId) : undefined,
+      collectionId: process.env.WEBFLOW_COLLECTION_ID ?? '',
+      mapping: loadFieldMapping()
+    }
+  ];
+}
+
+export function findSyncRoute(databaseId: string | undefined, routes = loadSyncRoutes()): SyncRoute | undefined {
+  const normalized = databaseId ? normalizeNotionId(databaseId) : undefined;
+  return routes.find(route => route.databaseId === undefined || route.databaseId === normalized);
+}
+
+/**
+ * The route for a page's parent database. A page that can no longer be fetched has no parent to go
+ * by, so the job's own `databaseId` is used, or the only route when there is just one.
+ */
+export function routeForPage(
+  page: NotionPage | null,
+  fallbackDatabaseId?: string,
+  routes = loadSyncRoutes()
+): SyncRoute | undefined {
+  if (page) return findSyncRoute(page.parent?.database_id, routes);
+  if (fallbackDatabaseId) return findSyncRoute(fallbackDatabaseId, routes);
+  return routes.length === 1 ? routes[0] : undefined;
+}
+
+// Webflow webhooks only name the collection, so routes are also looked up in reverse; locale databases never match
+export function findSyncRouteByCollection(collectionId: string | undefined, routes = loadSyncRoutes()): SyncRoute | undefined {
+  const primary = routes.filter(route => !route.locale);
+  if (!collectionId) return primary.length === 1 ? primary[0] : undefined;
+  return primary.find(route => route.collectionId === collectionId);
+}
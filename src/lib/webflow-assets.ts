@@ -0,0 +1,84 @@
+import { createHash } from 'crypto';
+import { throwIfRetryable } from '@/lib/http-retry';
+import { getKeyValueStore } from '@/lib/kv-store';
+import { getWebflowClient } from '@/lib/webflow';
+
+export type AssetCache = {
+  get(key: string): Promise<string | null>;
+  set(key: string, hostedUrl: string): Promise<void>;
+};
+
+export type AssetMigrator = (url: string) => Promise<string>;
+
+export function getAssetCache(): AssetCache {
+  const assets = getKeyValueStore<string>('asset:');
+  return { get: key => assets.get(key), set: (key, hostedUrl) => assets.put(key, hostedUrl) };
+}
+
+// Notion signs file URLs with a fresh query string on every read; the path is stable per file
+export function sourceKey(url: string): string {
+  const { origin, pathname } = new URL(url);
+  return `source:${origin}${pathname}`;
+}
+
+function fileNameFromUrl(url: string): string {
+  const name = decodeURIComponent(new URL(url).pathname.split('/').pop() ?? '');
+  return name || 'notion-asset';
+}
+
+export async function uploadWebflowAsset(siteId: string, fileName: string, bytes: ArrayBuffer, md5: string, contentType: string) {
+  console.log('webflow asset upload start', { fileName, md5 });
+  const asset = await getWebflowClient().uploadAsset(siteId, { fileName, bytes, md5, contentType });
+  console.log('webflow asset upload result', { fileName, assetId: asset.id, hostedUrl: asset.hostedUrl });
+  return asset.hostedUrl as string;
+}
+
+/**
+ * Copy Notion-hosted files into Webflow assets and hand back the Webflow URL. Lookups go by
+ * source path first, so re-syncs don't download anything; uploads are deduplicated by content
+ * hash. With `upload: false` only cached URLs are substituted (used for dry runs).
+ * Returns null when WEBFLOW_SITE_ID is not set.
+ */
+export function createAssetMigrator(options: { upload: boolean } = { upload: true }): AssetMigrator | null {
+  const siteId = process.env.WEBFLOW_SITE_ID;
+  if (!siteId) {
+    console.log('asset migration skip: WEBFLOW_SITE_ID not set');
+    return null;
+  }
+  const cache = getAssetCache();
+  const inFlight = new Map<string, Promise<string>>();
+
+  const migrate = async (url: string): Promise<string> => {
+    const bySource = await cache.get(sourceKey(url));
+    if (bySource || !options.upload) return bySource ?? url;
+
+    const res = await fetch(url);
+    throwIfRetryable(res, 'notion asset download');
+    if (!res.ok) {
+      console.error('notion asset download error', { status: res.status, url: sourceKey(url) });
+      return url;
+    }
+    const bytes = await res.arrayBuffer();
+    const md5 = createHash('md5').update(new Uint8Array(bytes)).digest('hex');
+
+    let hostedUrl = await cache.get(`md5:${md5}`);
+    if (!hostedUrl) {
+      const contentType = res.headers.get('content-type') ?? 'application/octet-stream';
+      hostedUrl = await uploadWebflowAsset(siteId, fileNameFromUrl(url), bytes, md5, contentType);
+      await cache.set(`md5:${md5}`, hostedUrl);
+    }
+    await cache.set(sourceKey(url), hostedUrl);
+    return hostedUrl;
+  };
+
+  return url => {
+    if (!url.startsWith('http')) return Promise.resolve(url);
+    const key = sourceKey(url);
+    let pending = inFlight.get(key);
+    if (!pending) {
+      pending = migrate(url);
+      inFlight.set(key, pending);
+    }
+    return pending;
+  };
+}
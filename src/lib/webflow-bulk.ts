@@ -0,0 +1,104 @@
+import { RetryableSyncError } from '@/lib/http-retry';
+import { getWebflowClient, WebflowValidationError, type WebflowItem } from '@/lib/webflow';
+import { completeWebflowUpsert, writeWebflowUpsert, type PendingUpsert, type UpsertResult } from '@/lib/webflow-items';
+
+// Webflow accepts at most 100 items per bulk request
+export const WEBFLOW_BULK_LIMIT = 100;
+
+export type UpsertOutcome = { ok: true; result: UpsertResult } | { ok: false; error: unknown };
+
+type PendingCreate = Extract<PendingUpsert, { action: 'create' }>;
+type PendingUpdate = Extract<PendingUpsert, { action: 'update' }>;
+
+function chunk<T>(items: T[], size: number): T[][] {
+  const chunks: T[][] = [];
+  for (let start = 0; start < items.length; start += size) chunks.push(items.slice(start, start + size));
+  return chunks;
+}
+
+// Live and staged writes go to different endpoints, so they can't share a request
+function groupPendingUpserts(pending: PendingUpsert[]): Map<string, PendingUpsert[]> {
+  const groups = new Map<string, PendingUpsert[]>();
+  for (const upsert of pending) {
+    const key = `${upsert.collectionId}:${upsert.action}:${upsert.live ? 'live' : 'staged'}`;
+    groups.set(key, [...(groups.get(key) ?? []), upsert]);
+  }
+  return groups;
+}
+
+function matchItems<T extends PendingUpsert>(batch: T[], find: (upsert: T) => WebflowItem | undefined) {
+  const matched = new Map<PendingUpsert, WebflowItem>();
+  for (const upsert of batch) {
+    const item = find(upsert);
+    if (item) matched.set(upsert, item);
+  }
+  return matched;
+}
+
+async function sendChunk(batch: PendingUpsert[]): Promise<Map<PendingUpsert, WebflowItem>> {
+  const client = getWebflowClient();
+  const { collectionId, action, live } = batch[0];
+
+  if (action === 'create') {
+    const creates = batch as PendingCreate[];
+    const { items } = await client.createItems(collectionId, creates.map(upsert => upsert.input), { live });
+    // Slugs are unique within a collection, so they tie each new item to its page
+    const bySlug = new Map((items ?? []).map(item => [item.fieldData?.slug, item]));
+    return matchItems(creates, upsert => bySlug.get(upsert.fieldData.slug));
+  }
+
+  const updates = batch as PendingUpdate[];
+  const { items } = await client.updateItems(collectionId, updates.map(upsert => ({ id: upsert.itemId, ...upsert.input })), { live });
+  const byId = new Map((items ?? []).map(item => [item.id, item]));
+  return matchItems(updates, upsert => byId.get(upsert.itemId));
+}
+
+async function writeChunk(batch: PendingUpsert[], outcomes: Map<string, UpsertOutcome>): Promise<void> {
+  const settle = async (upsert: PendingUpsert, write: () => Promise<UpsertResult>) => {
+    try {
+      outcomes.set(upsert.pageId, { ok: true, result: await write() });
+    } catch (error) {
+      outcomes.set(upsert.pageId, { ok: false, error });
+    }
+  };
+
+  if (batch.length === 1) return settle(batch[0], () => writeWebflowUpsert(batch[0]));
+
+  const { collectionId, action, live } = batch[0];
+  console.log('webflow bulk write start', { collectionId, action, live, count: batch.length });
+  let written: Map<PendingUpsert, WebflowItem>;
+  try {
+    written = await sendChunk(batch);
+  } catch (error) {
+    // One invalid item rejects the whole request, so send the items one by one and let only that one fail
+    if (error instanceof WebflowValidationError) {
+      console.log('webflow bulk write rejected, writing items one by one', { collectionId, action, count: batch.length });
+      for (const upsert of batch) await settle(upsert, () => writeWebflowUpsert(upsert));
+      return;
+    }
+    for (const upsert of batch) outcomes.set(upsert.pageId, { ok: false, error });
+    return;
+  }
+  console.log('webflow bulk write result', { collectionId, action, sent: batch.length, written: written.size });
+
+  for (const upsert of batch) {
+    const item = written.get(upsert);
+    await settle(upsert, async () => {
+      if (!item) throw new RetryableSyncError(`Webflow bulk ${action} returned no item for page ${upsert.pageId}`, 502);
+      return completeWebflowUpsert(upsert, item);
+    });
+  }
+}
+
+/**
+ * Send pending creates and updates through the bulk endpoints, grouped per collection and chunked
+ * to WEBFLOW_BULK_LIMIT. Outcomes are keyed by Notion page id; a failed item doesn't fail the rest
+ * of its chunk.
+ */
+export async function writeWebflowUpserts(pending: PendingUpsert[]): Promise<Map<string, UpsertOutcome>> {
+  const outcomes = new Map<string, UpsertOutcome>();
+  for (const group of groupPendingUpserts(pending).values()) {
+    for (const batch of chunk(group, WEBFLOW_BULK_LIMIT)) await writeChunk(batch, outcomes);
+  }
+  return outcomes;
+}
@@ -0,0 +1,165 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getItemLinkStore } from '@/lib/item-links';
+import type { WebflowItem } from '@/lib/webflow';
+import { archiveWebflowItem, indexWebflowItems, planWebflowUpsert } from '@/lib/webflow-items';
+
+// Serves a collection's items the way the Webflow list endpoint does, including the slug filter
+function serveCollection(items: WebflowItem[]) {
+  vi.stubGlobal('fetch', async (input: RequestInfo | URL) => {
+    const url = new URL(String(input));
+    const slug = url.searchParams.get('slug');
+    const matches = items.filter(item => !slug || item.fieldData?.slug === slug);
+    return new Response(JSON.stringify({ items: matches, pagination: { limit: 100, offset: 0, total: matches.length } }));
+  });
+}
+
+// Answers every request with the item and records the method and path of each
+function recordRequests(item: WebflowItem) {
+  const requests: string[] = [];
+  vi.stubGlobal('fetch', async (input: RequestInfo | URL, init?: RequestInit) => {
+    requests.push(`${init?.method ?? 'GET'} ${new URL(String(input)).pathname.replace(/^\/v2/, '')}`);
+    return new Response(JSON.stringify(item));
+  });
+  return requests;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('planWebflowUpsert slug fallback', () => {
+  const fieldData = (pageId: string) => ({ name: 'Launch notes', slug: 'launch-notes', 'notion-id': pageId });
+
+  it('adopts an item with the same slug that no page owns', async () => {
+    serveCollection([{ id: 'item-free', fieldData: { name: 'Launch notes', slug: 'launch-notes' } }]);
+    const plan = await planWebflowUpsert('col', { id: 'page-a', fieldData: fieldData('page-a') }, { notionIdField: 'notion-id' });
+    expect(plan).toMatchObject({ action: 'update', itemId: 'item-free' });
+    expect(await getItemLinkStore().getItemId('page-a')).toBe('item-free');
+  });
+
+  it("doesn't take over an item whose Notion id field names another page", async () => {
+    serveCollection([{ id: 'item-owned', fieldData: fieldData('page-owner') }]);
+    const plan = await planWebflowUpsert('col', { id: 'page-b', fieldData: fieldData('page-b') }, { notionIdField: 'notion-id' });
+    expect(plan.action).toBe('create');
+    expect(await getItemLinkStore().getItemId('page-b')).toBeNull();
+  });
+
+  it("doesn't take over an item linked to another page", async () => {
+    await getItemLinkStore().setItemId('page-linked', 'item-linked');
+    serveCollection([{ id: 'item-linked', fieldData: { name: 'Launch notes', slug: 'launch-notes' } }]);
+    const plan = await planWebflowUpsert('col', { id: 'page-c', fieldData: fieldData('page-c') }, { notionIdField: 'notion-id' });
+    expect(plan.action).toBe('create');
+    expect(await getItemLinkStore().getPageId('item-linked')).toBe('page-linked');
+  });
+});
+
+describe('planWebflowUpsert item lookup', () => {
+  it('updates the linked item when the slug was renamed', async () => {
+    await getItemLinkStore().setItemId('page-m', 'item-m');
+    const requests = recordRequests({ id: 'item-m', fieldData: { name: 'Team', slug: 'team' } });
+    const plan = await planWebflowUpsert('col', { id: 'page-m', fieldData: { name: 'Team', slug: 'our-team' } });
+    expect(plan).toMatchObject({ action: 'update', itemId: 'item-m', changedFields: ['slug'] });
+    expect(requests).toEqual(['GET /collections/col/items/item-m']);
+  });
+
+  it('finds an unlinked item by its Notion id field and stores the link', async () => {
+    serveCollection([
+      { id: 'item-other', fieldData: { name: 'Blog', slug: 'blog', 'notion-id': 'page-other' } },
+      { id: 'item-n', fieldData: { name: 'Press', slug: 'press-old', 'notion-id': 'page-n' } }
+    ]);
+    const notionData = { id: 'page-n', fieldData: { name: 'Press', slug: 'press' } };
+    const plan = await planWebflowUpsert('col', notionData, { notionIdField: 'notion-id' });
+    expect(plan).toMatchObject({ action: 'update', itemId: 'item-n', changedFields: ['slug'] });
+    expect(await getItemLinkStore().getItemId('page-n')).toBe('item-n');
+  });
+});
+
+describe('planWebflowUpsert with an item index', () => {
+  it('matches unlinked pages from the index without listing the collection', async () => {
+    const fetchSpy = vi.fn();
+    vi.stubGlobal('fetch', fetchSpy);
+    const index = indexWebflowItems(
+      [
+        { id: 'item-d', fieldData: { name: 'Roadmap', slug: 'roadmap', 'notion-id': 'page-d' } },
+        { id: 'item-e', fieldData: { name: 'Changelog', slug: 'changelog' } }
+      ],
+      'notion-id'
+    );
+    const itemIndex = vi.fn(async () => index);
+    const options = { notionIdField: 'notion-id', itemIndex };
+
+    const byNotionId = await planWebflowUpsert('col', { id: 'page-d', fieldData: { name: 'Roadmap', slug: 'roadmap' } }, options);
+    const bySlug = await planWebflowUpsert('col', { id: 'page-e', fieldData: { name: 'Changelog', slug: 'changelog' } }, options);
+    const missing = await planWebflowUpsert('col', { id: 'page-f', fieldData: { name: 'Pricing', slug: 'pricing' } }, options);
+
+    expect(byNotionId).toMatchObject({ action: 'unchanged', result: { itemId: 'item-d' } });
+    expect(bySlug).toMatchObject({ action: 'unchanged', result: { itemId: 'item-e' } });
+    expect(missing.action).toBe('create');
+    expect(itemIndex).toHaveBeenCalledTimes(3);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+});
+
+describe('planWebflowUpsert with an item index and a stored link', () => {
+  it('resolves the linked item from the index without fetching it', async () => {
+    const fetchSpy = vi.fn();
+    vi.stubGlobal('fetch', fetchSpy);
+    await getItemLinkStore().setItemId('page-l', 'item-l');
+    const index = indexWebflowItems([{ id: 'item-l', fieldData: { name: 'Careers', slug: 'careers' } }]);
+
+    const plan = await planWebflowUpsert(
+      'col',
+      { id: 'page-l', fieldData: { name: 'Careers', slug: 'careers-page' } },
+      { itemIndex: async () => index }
+    );
+    expect(plan).toMatchObject({ action: 'update', itemId: 'item-l', changedFields: ['slug'] });
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+});
+
+describe('planWebflowUpsert workflow flags', () => {
+  const published = { lastPublished: '2026-01-01T00:00:00Z', fieldData: { name: 'Pricing', slug: 'pricing' } };
+
+  it('marks a published item for unpublishing when it becomes a draft', async () => {
+    await getItemLinkStore().setItemId('page-j', 'item-j');
+    recordRequests({ id: 'item-j', ...published });
+    const plan = await planWebflowUpsert('col', { id: 'page-j', fieldData: published.fieldData }, { isDraft: true });
+    expect(plan).toMatchObject({ action: 'update', unpublish: true, input: { isDraft: true } });
+  });
+
+  it("doesn't unpublish an item that was already a draft", async () => {
+    await getItemLinkStore().setItemId('page-k', 'item-k');
+    recordRequests({ id: 'item-k', isDraft: true, ...published });
+    const plan = await planWebflowUpsert('col', { id: 'page-k', fieldData: published.fieldData }, { isArchived: true, isDraft: true });
+    expect(plan).toMatchObject({ action: 'update', unpublish: false });
+  });
+});
+
+describe('archiveWebflowItem', () => {
+  const item = { id: 'item-g', fieldData: { name: 'Retired', slug: 'retired' } };
+
+  it('takes the archived item off the published site under a publish policy', async () => {
+    await getItemLinkStore().setItemId('page-g', 'item-g');
+    const requests = recordRequests(item);
+    await archiveWebflowItem('col', 'page-g', 'retired', undefined, { publish: { mode: 'publish' } });
+    expect(requests).toEqual([
+      'GET /collections/col/items/item-g',
+      'PATCH /collections/col/items/item-g',
+      'DELETE /collections/col/items/item-g/live'
+    ]);
+  });
+
+  it('unpublishes a deleted item before deleting the staged one', async () => {
+    await getItemLinkStore().setItemId('page-h', 'item-g');
+    const requests = recordRequests(item);
+    await archiveWebflowItem('col', 'page-h', 'retired', undefined, { hardDelete: true, publish: { mode: 'live' } });
+    expect(requests.slice(1)).toEqual(['DELETE /collections/col/items/item-g/live', 'DELETE /collections/col/items/item-g']);
+  });
+
+  it('only archives the staged item under a stage policy', async () => {
+    await getItemLinkStore().setItemId('page-i', 'item-g');
+    const requests = recordRequests(item);
+    await archiveWebflowItem('col', 'page-i', 'retired', undefined, { publish: { mode: 'stage' } });
+    expect(requests.slice(1)).toEqual(['PATCH /collections/col/items/item-g']);
+  });
+});
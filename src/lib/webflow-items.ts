@@ -0,0 +1,384 @@
+import { diffFieldData, getFieldHashStore, hashFieldData, pickFields } from '@/lib/field-diff';
+import type { ConflictPolicy, PublishPolicy } from '@/lib/field-mapping';
+import { getItemLinkStore } from '@/lib/item-links';
+import { applyConflictPolicy, recordSyncSnapshot, type ConflictOutcome } from '@/lib/sync-conflicts';
+import {
+  getWebflowClient,
+  WebflowNotFoundError,
+  type WebflowCollection,
+  type WebflowItem,
+  type WebflowItemInput
+} from '@/lib/webflow';
+
+export type { WebflowCollection, WebflowCollectionField, WebflowItem } from '@/lib/webflow';
+
+export type NotionData = { id: string; fieldData: Record<string, unknown> };
+
+const COLLECTION_CACHE_MS = 5 * 60_000;
+const collectionCache = new Map<string, { collection: WebflowCollection; expiresAt: number }>();
+
+// Schemas rarely change, so keep them for a few minutes per isolate instead of fetching on every sync
+export async function getWebflowCollection(collectionId: string): Promise<WebflowCollection> {
+  const cached = collectionCache.get(collectionId);
+  if (cached && cached.expiresAt > Date.now()) return cached.collection;
+
+  const collection = await getWebflowClient().getCollection(collectionId);
+  console.log('webflow get collection result', { collectionId, fields: collection.fields?.length });
+  collectionCache.set(collectionId, { collection, expiresAt: Date.now() + COLLECTION_CACHE_MS });
+  return collection;
+}
+
+export type UpsertOptions = {
+  notionIdField?: string;
+  // Write through the /live endpoints so the change reaches the published site immediately
+  live?: boolean;
+  isDraft?: boolean;
+  isArchived?: boolean;
+  conflictPolicy?: ConflictPolicy;
+  // Shared by a batch so unlinked pages are matched without walking the collection once each
+  itemIndex?: () => Promise<WebflowItemIndex>;
+};
+
+export type WebflowItemIndex = {
+  byId: Map<string, WebflowItem>;
+  bySlug: Map<unknown, WebflowItem>;
+  byNotionId: Map<unknown, WebflowItem>;
+};
+
+export function indexWebflowItems(items: WebflowItem[], notionIdField?: string): WebflowItemIndex {
+  const byNotionId = new Map<unknown, WebflowItem>();
+  if (notionIdField) {
+    for (const item of items) {
+      const pageId = item.fieldData?.[notionIdField];
+      if (pageId) byNotionId.set(pageId, item);
+    }
+  }
+  return {
+    byId: new Map(items.map(item => [item.id, item])),
+    bySlug: new Map(items.map(item => [item.fieldData?.slug, item])),
+    byNotionId
+  };
+}
+
+export async function loadWebflowItemIndex(collectionId: string, notionIdField?: string): Promise<WebflowItemIndex> {
+  const items = await listWebflowItems(collectionId);
+  console.log('webflow item index loaded', { collectionId, items: items.length });
+  return indexWebflowItems(items, notionIdField);
+}
+
+export type UpsertResult = {
+  action: 'created' | 'updated' | 'unchanged';
+  changedFields: string[];
+  itemId?: string;
+  wroteLive?: boolean;
+  hasUnpublishedChanges?: boolean;
+  // The item was on the published site and is now a draft or archived, which staged flags don't take down
+  unpublish?: boolean;
+  // Fields edited in Webflow since the last sync that this update would have overwritten
+  conflict?: ConflictOutcome;
+  webflowResponse?: unknown;
+};
+
+function hasUnpublishedChanges(item: WebflowItem): boolean {
+  if (!item.lastPublished) return true;
+  return Boolean(item.lastUpdated && Date.parse(item.lastUpdated) > Date.parse(item.lastPublished));
+}
+
+// A create or update worked out against the item's current state but not yet sent
+export type PendingUpsert = {
+  collectionId: string;
+  pageId: string;
+  live: boolean;
+  // All mapped fields; only `input.fieldData` is sent
+  fieldData: Record<string, unknown>;
+  input: WebflowItemInput;
+} & (
+  | { action: 'create' }
+  | { action: 'update'; itemId: string; changedFields: string[]; conflict?: ConflictOutcome; unpublish: boolean }
+);
+
+export type UpsertPlan = PendingUpsert | { action: 'unchanged'; result: UpsertResult };
+
+/**
+ * Find the page's item and work out what to send. Conflicts are settled here, so the plan only
+ * carries fields that may be written.
+ */
+export async function planWebflowUpsert(
+  collectionId: string,
+  notionData: NotionData,
+  options: UpsertOptions = {}
+): Promise<UpsertPlan> {
+  const { notionIdField, live = false, isDraft = false, isArchived = false, conflictPolicy = 'notion-wins' } = options;
+  const { id: pageId, fieldData } = notionData;
+  const slug = fieldData.slug as string | undefined;
+
+  const existing = await findWebflowItem(collectionId, pageId, slug, notionIdField, options.itemIndex);
+  if (!existing) {
+    return { action: 'create', collectionId, pageId, live, fieldData, input: { isArchived, isDraft, fieldData } };
+  }
+
+  const itemId = existing.id;
+  const diff = diffFieldData(fieldData, existing.fieldData, await getFieldHashStore().get(itemId));
+  const { writeFields: changedFields, conflict } =
+    diff.length > 0
+      ? await applyConflictPolicy({ pageId, collectionId, item: existing, fieldData, changedFields: diff, policy: conflictPolicy })
+      : { writeFields: diff };
+  const flagsChanged = Boolean(existing.isArchived) !== isArchived || Boolean(existing.isDraft) !== isDraft;
+  const unpublish = Boolean(existing.lastPublished) && !existing.isDraft && !existing.isArchived && (isDraft || isArchived);
+  if (changedFields.length === 0 && !flagsChanged) {
+    console.log('webflow update skip: no changes', { itemId, slug });
+    return {
+      action: 'unchanged',
+      result: { action: 'unchanged', changedFields, itemId, hasUnpublishedChanges: hasUnpublishedChanges(existing), conflict }
+    };
+  }
+
+  // Send only the fields that changed
+  return {
+    action: 'update',
+    collectionId,
+    pageId,
+    itemId,
+    live,
+    fieldData,
+    changedFields,
+    conflict,
+    unpublish,
+    input: { isArchived, isDraft, fieldData: pickFields(fieldData, changedFields) }
+  };
+}
+
+// Record what a create or update wrote: the page link, the sent field hashes and the sync snapshot
+export async function completeWebflowUpsert(pending: PendingUpsert, item: WebflowItem): Promise<UpsertResult> {
+  const hashes = getFieldHashStore();
+  const { pageId, fieldData, live } = pending;
+
+  if (pending.action === 'create') {
+    await getItemLinkStore().setItemId(pageId, item.id);
+    await hashes.set(item.id, hashFieldData(fieldData));
+    await recordSyncSnapshot(item.id, item);
+    return {
+      action: 'created',
+      changedFields: Object.keys(fieldData),
+      itemId: item.id,
+      wroteLive: live,
+      hasUnpublishedChanges: true,
+      webflowResponse: item
+    };
+  }
+
+  const { itemId, changedFields, conflict, unpublish } = pending;
+  // Held fields keep their old hash so they still show up as changed until resolved
+  const held = conflict?.policy === 'hold' ? conflict.fields : [];
+  const sent = Object.keys(fieldData).filter(field => !held.includes(field));
+  await hashes.set(itemId, { ...(await hashes.get(itemId)), ...hashFieldData(pickFields(fieldData, sent)) });
+  await recordSyncSnapshot(itemId, item);
+  return {
+    action: 'updated',
+    changedFields,
+    itemId,
+    wroteLive: live,
+    hasUnpublishedChanges: true,
+    unpublish,
+    conflict,
+    webflowResponse: item
+  };
+}
+
+// Send one pending upsert on its own; batch syncs go through writeWebflowUpserts instead
+export async function writeWebflowUpsert(pending: PendingUpsert): Promise<UpsertResult> {
+  const client = getWebflowClient();
+  const { collectionId, live, input } = pending;
+  const slug = pending.fieldData.slug;
+
+  if (pending.action === 'create') {
+    console.log('webflow create start', { slug, fields: Object.keys(input.fieldData), live });
+    const created = await client.createItem(collectionId, input, { live });
+    console.log('webflow create result', { itemId: created.id, slug });
+    return completeWebflowUpsert(pending, created);
+  }
+
+  console.log('webflow update start', { itemId: pending.itemId, slug, changedFields: pending.changedFields, live });
+  const updated = await client.updateItem(collectionId, pending.itemId, input, { live });
+  console.log('webflow update result', { itemId: pending.itemId, lastUpdated: updated.lastUpdated });
+  return completeWebflowUpsert(pending, updated);
+}
+
+export async function updateOrCreateWebflowItem(
+  collectionId: string,
+  notionData: NotionData,
+  options: UpsertOptions = {}
+): Promise<UpsertResult> {
+  const plan = await planWebflowUpsert(collectionId, notionData, options);
+  return plan.action === 'unchanged' ? plan.result : writeWebflowUpsert(plan);
+}
+
+// Resolution order: stored link, then the hidden Notion id field, then slug for items synced before links existed
+async function findWebflowItem(
+  collectionId: string,
+  pageId: string,
+  slug: string | undefined,
+  notionIdField: string | undefined,
+  itemIndex?: () => Promise<WebflowItemIndex>
+): Promise<WebflowItem | undefined> {
+  const links = getItemLinkStore();
+
+  const linkedId = await links.getItemId(pageId);
+  if (linkedId) {
+    // Batches resolve links from their index; an item created since it was loaded is fetched
+    const linked = (itemIndex ? (await itemIndex()).byId.get(linkedId) : undefined) ?? (await getWebflowItem(collectionId, linkedId));
+    if (linked) return linked;
+    console.log('webflow linked item missing, dropping link', { pageId, itemId: linkedId });
+    await links.deleteLink(pageId);
+  }
+
+  let found: WebflowItem | undefined;
+  if (itemIndex) {
+    const index = await itemIndex();
+    found = index.byNotionId.get(pageId) ?? (slug ? await unclaimed(index.bySlug.get(slug), pageId, notionIdField) : undefined);
+  } else {
+    found =
+      (notionIdField ? await findWebflowItemByField(collectionId, notionIdField, pageId) : undefined) ??
+      (slug ? await unclaimed(await findWebflowItemBySlug(collectionId, slug), pageId, notionIdField) : undefined);
+  }
+  if (found) await links.setItemId(pageId, found.id);
+  return found;
+}
+
+/**
+ * The page's item for planning, without storing links: the linked item, or an unclaimed item with
+ * the page's slug. One request per page instead of a walk of the collection, so an item matched
+ * only by the Notion id field isn't found here.
+ */
+export async function lookupWebflowItem(
+  collectionId: string,
+  pageId: string,
+  slug: string | undefined,
+  notionIdField: string | undefined
+): Promise<WebflowItem | undefined> {
+  const linkedId = await getItemLinkStore().getItemId(pageId);
+  const linked = linkedId ? await getWebflowItem(collectionId, linkedId) : undefined;
+  if (linked) return linked;
+  return slug ? unclaimed(await findWebflowItemBySlug(collectionId, slug), pageId, notionIdField) : undefined;
+}
+
+// A slug match is only adopted when no other page owns the item, by link or by its Notion id field
+async function unclaimed(
+  item: WebflowItem | undefined,
+  pageId: string,
+  notionIdField: string | undefined
+): Promise<WebflowItem | undefined> {
+  if (!item) return undefined;
+  const linkedPageId = await getItemLinkStore().getPageId(item.id);
+  const storedPageId = notionIdField ? item.fieldData?.[notionIdField] : undefined;
+  if ((linkedPageId && linkedPageId !== pageId) || (storedPageId && storedPageId !== pageId)) {
+    console.log('webflow slug match belongs to another page', {
+      pageId,
+      slug: item.fieldData?.slug,
+      itemId: item.id,
+      ownerPageId: linkedPageId ?? storedPageId
+    });
+    return undefined;
+  }
+  return item;
+}
+
+export async function getWebflowItem(collectionId: string, itemId: string): Promise<WebflowItem | undefined> {
+  try {
+    return await getWebflowClient().getItem(collectionId, itemId);
+  } catch (err) {
+    if (err instanceof WebflowNotFoundError) return undefined;
+    throw err;
+  }
+}
+
+export async function publishWebflowItems(collectionId: string, itemIds: string[]) {
+  console.log('webflow publish start', { collectionId, itemIds });
+  const result = await getWebflowClient().publishItems(collectionId, itemIds);
+  console.log('webflow publish result', { collectionId, ...result });
+  return result;
+}
+
+export async function listWebflowItems(collectionId: string): Promise<WebflowItem[]> {
+  const items: WebflowItem[] = [];
+  for await (const item of getWebflowClient().listItems(collectionId)) items.push(item);
+  return items;
+}
+
+export async function listWebflowItemsPage(collectionId: string, offset: number, limit: number): Promise<WebflowItem[]> {
+  const list = await getWebflowClient().listItemsPage(collectionId, { offset, limit });
+  return list.items ?? [];
+}
+
+// The list endpoint can't filter on custom fields, so walk the collection page by page
+async function findWebflowItemByField(collectionId: string, field: string, value: string): Promise<WebflowItem | undefined> {
+  console.log('webflow find by field start', { field, value });
+  for await (const item of getWebflowClient().listItems(collectionId)) {
+    if (item.fieldData?.[field] === value) return item;
+  }
+  return undefined;
+}
+
+async function findWebflowItemBySlug(collectionId: string, slug: string): Promise<WebflowItem | undefined> {
+  console.log('webflow find by slug start', { slug });
+  for await (const item of getWebflowClient().listItems(collectionId, { slug })) return item;
+  return undefined;
+}
+
+// Returns false when the item was not on the published site
+export async function unpublishWebflowItem(collectionId: string, itemId: string): Promise<boolean> {
+  console.log('webflow unpublish start', { itemId });
+  try {
+    await getWebflowClient().unpublishItem(collectionId, itemId);
+    return true;
+  } catch (err) {
+    if (err instanceof WebflowNotFoundError) return false;
+    throw err;
+  }
+}
+
+/**
+ * Archives (or deletes) the item linked to a removed page. Under a `publish` or `live` policy the
+ * item is taken off the published site too, as the upsert path would have published the change;
+ * under `stage` (or no policy) only the staged item changes and an editor publishes it. A backfill
+ * names the item it planned to archive, which is used instead of looking the page up.
+ */
+export async function archiveWebflowItem(
+  collectionId: string,
+  pageId: string,
+  slug: string | undefined,
+  notionIdField: string | undefined,
+  { itemId: plannedId, hardDelete = false, publish }: { itemId?: string; hardDelete?: boolean; publish?: PublishPolicy } = {}
+): Promise<WebflowItem | null> {
+  const client = getWebflowClient();
+  const links = getItemLinkStore();
+  const existing = plannedId
+    ? await getWebflowItem(collectionId, plannedId)
+    : await findWebflowItem(collectionId, pageId, slug, notionIdField);
+  if (!existing) {
+    console.log('webflow archive skip: no linked item', { pageId, slug });
+    return null;
+  }
+  const itemId = existing.id;
+  const unpublish = publish !== undefined && publish.mode !== 'stage';
+
+  if (hardDelete) {
+    console.log('webflow delete start', { itemId, slug });
+    // Deleting the staged item leaves the published one live until the next site publish
+    if (unpublish) await unpublishWebflowItem(collectionId, itemId);
+    try {
+      await client.deleteItem(collectionId, itemId);
+    } catch (err) {
+      // Already gone, which is what we wanted
+      if (!(err instanceof WebflowNotFoundError)) throw err;
+    }
+    // A page moved to another database may be linked to its item there by now
+    if ((await links.getItemId(pageId)) === itemId) await links.deleteLink(pageId);
+    return existing;
+  }
+
+  console.log('webflow archive start', { itemId, slug });
+  const archived = await client.updateItem(collectionId, itemId, { isArchived: true });
+  if (unpublish) await unpublishWebflowItem(collectionId, itemId);
+  return archived;
+}
@@ -0,0 +1,83 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export type WebflowWebhookAuthOptions = {
+  // Secret shown when the webhook was created (or the app's client secret for OAuth apps)
+  secret: string;
+  // Explicit opt-out that lets unsigned deliveries through in production
+  allowUnverified: boolean;
+  isProduction: boolean;
+  now?: number;
+};
+
+export type WebflowWebhookAuthResult =
+  | { handled: false; body: Record<string, unknown> }
+  | { handled: true; response: Response };
+
+// Webflow signs the timestamp along with the body; older deliveries are treated as replays
+const MAX_TIMESTAMP_SKEW_MS = 5 * 60_000;
+
+export function webflowWebhookAuthOptionsFromEnv(): WebflowWebhookAuthOptions {
+  return {
+    secret: process.env.WEBFLOW_WEBHOOK_SECRET || '',
+    allowUnverified: process.env.WEBFLOW_ALLOW_UNVERIFIED_WEBHOOKS === 'true',
+    isProduction: process.env.NODE_ENV === 'production'
+  };
+}
+
+export function calculateWebflowSignature(rawBody: string, timestamp: string, secret: string): string {
+  return createHmac('sha256', secret).update(`${timestamp}:${rawBody}`).digest('hex');
+}
+
+export function isValidWebflowSignature(
+  rawBody: string,
+  timestamp: string | null,
+  headerSignature: string | null,
+  secret: string
+): boolean {
+  if (!timestamp || !headerSignature || !secret) return false;
+  const a = Buffer.from(calculateWebflowSignature(rawBody, timestamp, secret));
+  const b = Buffer.from(headerSignature);
+  if (a.length !== b.length) return false;
+  return timingSafeEqual(a, b);
+}
+
+function reject(message: string, status: number): WebflowWebhookAuthResult {
+  return { handled: true, response: new Response(message, { status }) };
+}
+
+/**
+ * Gate every Webflow webhook delivery before the payload is used for anything. Checks
+ * `x-webflow-signature` over `x-webflow-timestamp` and the raw body.
+ */
+export function authenticateWebflowWebhook(
+  rawBody: string,
+  headers: { timestamp: string | null; signature: string | null },
+  options: WebflowWebhookAuthOptions
+): WebflowWebhookAuthResult {
+  let body: Record<string, unknown>;
+  try {
+    const parsed = JSON.parse(rawBody);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return reject('Malformed JSON body', 400);
+    body = parsed;
+  } catch {
+    return reject('Malformed JSON body', 400);
+  }
+
+  if (options.secret) {
+    if (!isValidWebflowSignature(rawBody, headers.timestamp, headers.signature, options.secret)) {
+      return reject('Invalid signature', 401);
+    }
+    const age = (options.now ?? Date.now()) - Number(headers.timestamp);
+    if (!Number.isFinite(age) || Math.abs(age) > MAX_TIMESTAMP_SKEW_MS) {
+      return reject('Stale timestamp', 401);
+    }
+    return { handled: false, body };
+  }
+
+  if (options.isProduction && !options.allowUnverified) {
+    console.error('webflow webhook rejected: WEBFLOW_WEBHOOK_SECRET not set in production');
+    return reject('Webhook signature verification is not configured', 503);
+  }
+  console.log('Skipping Webflow signature validation (WEBFLOW_WEBHOOK_SECRET not set)');
+  return { handled: false, body };
+}
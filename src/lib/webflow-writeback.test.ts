@@ -0,0 +1,42 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { handleWebflowEvent } from '@/lib/webflow-writeback';
+
+const DATABASE_ID = 'db333333333333333333333333333333';
+
+function routeTo(mapping: Record<string, unknown>) {
+  vi.stubEnv('SYNC_ROUTES', JSON.stringify({ [DATABASE_ID]: { collectionId: 'col-writeback', mapping } }));
+}
+
+const created = (fieldData: Record<string, unknown>) => ({
+  triggerType: 'collection_item_created',
+  payload: { id: 'item-new', collectionId: 'col-writeback', fieldData }
+});
+
+let fetchSpy: ReturnType<typeof vi.fn>;
+
+beforeEach(() => {
+  fetchSpy = vi.fn(async () => new Response(JSON.stringify({ object: 'error' }), { status: 500 }));
+  vi.stubGlobal('fetch', fetchSpy);
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+});
+
+describe('handleWebflowEvent for created items', () => {
+  it("doesn't create pages for a route without notionIdField", async () => {
+    routeTo({ fields: [{ notion: 'Name', type: 'title', webflow: 'name' }] });
+    const result = await handleWebflowEvent(created({ name: 'Made in Webflow', slug: 'made-in-webflow' }));
+    expect(result).toMatchObject({ action: 'skipped', reason: 'route has no notionIdField' });
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('treats an item the sync created as linked through its Notion id', async () => {
+    routeTo({ fields: [{ notion: 'Name', type: 'title', webflow: 'name' }], notionIdField: 'notion-id' });
+    fetchSpy.mockImplementation(async () => new Response(JSON.stringify({ object: 'error', code: 'object_not_found' }), { status: 404 }));
+    const result = await handleWebflowEvent(created({ name: 'From Notion', slug: 'from-notion', 'notion-id': 'page-synced' }));
+    expect(result).toMatchObject({ action: 'skipped', pageId: 'page-synced', reason: 'linked page missing' });
+    expect(fetchSpy.mock.calls.map(([url]) => String(url))).toEqual(['https://api.notion.com/v1/pages/page-synced']);
+  });
+});
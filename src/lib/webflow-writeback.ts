@@ -0,0 +1,167 @@
+import { getFieldHashStore, hashFieldData, hashFieldValue, pickFields, type FieldHashes } from '@/lib/field-diff';
+import { buildFieldData, type FieldMappingEntry } from '@/lib/field-mapping';
+import { getItemLinkStore } from '@/lib/item-links';
+import { secondaryLocaleIds } from '@/lib/localization';
+import {
+  createNotionPage,
+  fetchNotionBotUserId,
+  fetchNotionPage,
+  updateNotionPage,
+  type NotionPage
+} from '@/lib/notion-pages';
+import { buildNotionPropertyWrites, reversibleEntries, sameMappedValue, webflowToMappedValue } from '@/lib/reverse-mapping';
+import { findSyncRouteByCollection, type SyncRoute } from '@/lib/sync-routes';
+import { getWebflowCollection, type WebflowCollection, type WebflowItem } from '@/lib/webflow-items';
+
+export type WebflowItemPayload = WebflowItem & { collectionId?: string; siteId?: string; cmsLocaleId?: string };
+
+export type WebflowWebhookEvent = {
+  triggerType?: string;
+  payload?: WebflowItemPayload;
+};
+
+export type WritebackResult = {
+  action: 'updated' | 'created' | 'unchanged' | 'unlinked' | 'archived' | 'skipped';
+  pageId?: string;
+  itemId?: string;
+  properties?: string[];
+  reason?: string;
+};
+
+type WritebackEdit = { entry: FieldMappingEntry; value: unknown };
+
+async function linkedPageId(item: WebflowItemPayload, route: SyncRoute): Promise<string | undefined> {
+  const linked = await getItemLinkStore().getPageId(item.id);
+  if (linked) return linked;
+  const fromField = route.mapping.notionIdField ? item.fieldData?.[route.mapping.notionIdField] : undefined;
+  return typeof fromField === 'string' && fromField ? fromField : undefined;
+}
+
+/**
+ * Fields edited in Webflow: the value differs from what the Notion page maps to now, and it is
+ * not what the sync last sent. The second check keeps our own writes (and Notion edits that
+ * haven't been synced yet) from being copied back.
+ */
+function webflowEdits(
+  item: WebflowItemPayload,
+  page: NotionPage,
+  route: SyncRoute,
+  collection: WebflowCollection,
+  lastSent: FieldHashes | null
+): WritebackEdit[] {
+  const mapped = buildFieldData(page.properties, route.mapping);
+  return reversibleEntries(route.mapping, collection.fields).flatMap(({ entry, field }) => {
+    const current = item.fieldData?.[entry.webflow];
+    if (lastSent?.[entry.webflow] === hashFieldValue(current)) return [];
+    const value = webflowToMappedValue(entry, field, current);
+    if (sameMappedValue(entry, value, mapped[entry.webflow])) return [];
+    return [{ entry, value }];
+  });
+}
+
+// Record the Webflow values as synced so the next diff in either direction treats them as settled
+async function markSynced(item: WebflowItemPayload, fields: string[]) {
+  const hashes = getFieldHashStore();
+  const lastSent = await hashes.get(item.id);
+  await hashes.set(item.id, { ...lastSent, ...hashFieldData(pickFields(item.fieldData ?? {}, fields)) });
+}
+
+async function writeBackChanges(item: WebflowItemPayload, route: SyncRoute, pageId: string): Promise<WritebackResult> {
+  const notionToken = process.env.NOTION_TOKEN || '';
+  const page = await fetchNotionPage(pageId, notionToken);
+  if (!page) {
+    console.log('webflow writeback skip: linked page missing', { itemId: item.id, pageId });
+    return { action: 'skipped', pageId, itemId: item.id, reason: 'linked page missing' };
+  }
+
+  const collection = await getWebflowCollection(route.collectionId);
+  const edits = webflowEdits(item, page, route, collection, await getFieldHashStore().get(item.id));
+  if (edits.length === 0) {
+    console.log('webflow writeback skip: no edited fields', { itemId: item.id, pageId });
+    return { action: 'unchanged', pageId, itemId: item.id };
+  }
+
+  const properties = edits.map(({ entry }) => entry.notion);
+  console.log('webflow writeback start', { itemId: item.id, pageId, properties });
+  await updateNotionPage(pageId, { properties: buildNotionPropertyWrites(edits) }, notionToken);
+  await markSynced(item, edits.map(({ entry }) => entry.webflow));
+  return { action: 'updated', pageId, itemId: item.id, properties };
+}
+
+// Items added in Webflow get a page in the route's database, linked like a page the sync created
+async function createLinkedPage(item: WebflowItemPayload, route: SyncRoute): Promise<WritebackResult> {
+  if (!route.databaseId) {
+    return { action: 'skipped', itemId: item.id, reason: 'route has no database id' };
+  }
+  // The sync writes the Notion id into every item it creates, before the link is stored, so
+  // without that field an item the sync just created would get a second page
+  if (!route.mapping.notionIdField) {
+    console.log('webflow writeback create skip: route has no notionIdField', { itemId: item.id });
+    return { action: 'skipped', itemId: item.id, reason: 'route has no notionIdField' };
+  }
+  const notionToken = process.env.NOTION_TOKEN || '';
+  const collection = await getWebflowCollection(route.collectionId);
+  const values = reversibleEntries(route.mapping, collection.fields)
+    .map(({ entry, field }) => ({ entry, value: webflowToMappedValue(entry, field, item.fieldData?.[entry.webflow]) }))
+    .filter(({ value }) => value !== undefined);
+
+  console.log('webflow writeback create start', { itemId: item.id, databaseId: route.databaseId });
+  const page = await createNotionPage(route.databaseId, buildNotionPropertyWrites(values), notionToken);
+  await getItemLinkStore().setItemId(page.id, item.id);
+  await markSynced(item, Object.keys(item.fieldData ?? {}));
+  return { action: 'created', pageId: page.id, itemId: item.id, properties: values.map(({ entry }) => entry.notion) };
+}
+
+async function unlinkDeletedItem(item: WebflowItemPayload): Promise<WritebackResult> {
+  const links = getItemLinkStore();
+  const pageId = await links.getPageId(item.id);
+  if (!pageId) return { action: 'skipped', itemId: item.id, reason: 'no linked page' };
+  await links.deleteLink(pageId);
+
+  if (process.env.NOTION_ARCHIVE_DELETED_ITEMS !== 'true') {
+    console.log('webflow item deleted, link dropped', { itemId: item.id, pageId });
+    return { action: 'unlinked', pageId, itemId: item.id };
+  }
+  await updateNotionPage(pageId, { archived: true }, process.env.NOTION_TOKEN || '');
+  return { action: 'archived', pageId, itemId: item.id };
+}
+
+/**
+ * Apply a Webflow CMS webhook to Notion. Edited mapped fields are written to the linked page
+ * through the reverse of the field mapping; created items get a new page; deleted items drop
+ * their link (and archive the page with NOTION_ARCHIVE_DELETED_ITEMS=true).
+ */
+export async function handleWebflowEvent(event: WebflowWebhookEvent): Promise<WritebackResult> {
+  const item = event.payload;
+  if (!item?.id) return { action: 'skipped', reason: 'no item in payload' };
+
+  if (event.triggerType === 'collection_item_deleted') return unlinkDeletedItem(item);
+
+  const route = findSyncRouteByCollection(item.collectionId);
+  if (!route) {
+    console.log('webflow writeback skip: collection is not routed', { itemId: item.id, collectionId: item.collectionId });
+    return { action: 'skipped', itemId: item.id, reason: 'collection not routed' };
+  }
+
+  // Translations come from Notion in one direction only
+  if (item.cmsLocaleId && secondaryLocaleIds(route.collectionId).has(item.cmsLocaleId)) {
+    console.log('webflow writeback skip: secondary locale', { itemId: item.id, cmsLocaleId: item.cmsLocaleId });
+    return { action: 'skipped', itemId: item.id, reason: 'secondary locale' };
+  }
+
+  const pageId = await linkedPageId(item, route);
+  if (pageId) return writeBackChanges(item, route, pageId);
+  if (event.triggerType === 'collection_item_created') return createLinkedPage(item, route);
+  console.log('webflow writeback skip: item has no linked page', { itemId: item.id });
+  return { action: 'skipped', itemId: item.id, reason: 'no linked page' };
+}
+
+/**
+ * Notion reports the integration as the author of a write-back, so an event whose only author
+ * is our own bot is the echo of one and must not be synced to Webflow again.
+ */
+export async function isWritebackEcho(authors: { id?: string; type?: string }[] | undefined): Promise<boolean> {
+  if (!authors?.length || !authors.every(author => author.type === 'bot')) return false;
+  const botUserId = await fetchNotionBotUserId(process.env.NOTION_TOKEN || '');
+  return Boolean(botUserId) && authors.every(author => author.id === botUserId);
+}
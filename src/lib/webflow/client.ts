@@ -0,0 +1,177 @@
+import { isRetryableStatus, parseRetryAfter, sendWithRetry, sleep as defaultSleep } from '@/lib/http-retry';
+import {
+  WebflowApiError,
+  WebflowNotFoundError,
+  WebflowRetryableError,
+  WebflowValidationError,
+  type WebflowErrorBody
+} from '@/lib/webflow/errors';
+import { createRateLimitGate, type RateLimitGate } from '@/lib/webflow/rate-limit';
+import type {
+  WebflowAsset,
+  WebflowAssetUpload,
+  WebflowCollection,
+  WebflowItem,
+  WebflowItemInput,
+  WebflowItemList,
+  WebflowItemUpdate,
+  WebflowListItemsOptions,
+  WebflowPublishResult
+} from '@/lib/webflow/types';
+
+const WEBFLOW_API_BASE = 'https://api.webflow.com/v2';
+const PAGE_SIZE = 100;
+const DEFAULT_MAX_RETRIES = 3;
+
+export type WebflowClientOptions = {
+  token: string;
+  // Injectable for tests that replay recorded responses
+  fetch?: typeof fetch;
+  rateLimit?: RateLimitGate;
+  // 429 responses retried in place before WebflowRetryableError is thrown
+  maxRetries?: number;
+  sleep?: (ms: number) => Promise<void>;
+};
+
+// Write through the /live endpoints so the change reaches the published site immediately
+export type WebflowWriteOptions = { live?: boolean };
+
+type RequestOptions = {
+  method?: 'GET' | 'POST' | 'PATCH' | 'DELETE';
+  body?: unknown;
+  query?: Record<string, string | number | undefined>;
+};
+
+// Webflow's budget is per token, so every client in the isolate follows the same headers
+const sharedRateLimit = createRateLimitGate();
+
+function errorMessage(method: string, path: string, status: number, error: WebflowErrorBody): string {
+  const details = error.details?.length ? ` ${JSON.stringify(error.details)}` : '';
+  return `Webflow ${method} ${path} failed with status ${status}${error.message ? `: ${error.message}` : ''}${details}`;
+}
+
+export function createWebflowClient(options: WebflowClientOptions) {
+  const {
+    token,
+    fetch: fetchImpl = (input, init) => fetch(input, init),
+    rateLimit = sharedRateLimit,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    sleep = defaultSleep
+  } = options;
+
+  async function request<T>(path: string, { method = 'GET', body, query }: RequestOptions = {}): Promise<T> {
+    const params = new URLSearchParams(
+      Object.entries(query ?? {}).flatMap(([key, value]) => (value === undefined ? [] : [[key, String(value)]]))
+    );
+    const search = params.toString();
+    const url = `${WEBFLOW_API_BASE}${path}${search ? `?${search}` : ''}`;
+
+    const send = async () => {
+      await rateLimit.wait();
+      const res = await fetchImpl(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      rateLimit.update(res.headers);
+      return res;
+    };
+    const { res, json, retryAfterMs } = await sendWithRetry(send, {
+      maxRetries,
+      sleep,
+      onRetry: (attempt, delayMs) => console.log('webflow rate limited, retrying', { method, path, attempt, delayMs })
+    });
+    if (res.ok) return json as T;
+
+    const error = json as WebflowErrorBody;
+    const message = errorMessage(method, path, res.status, error);
+    const details = error.details ?? [];
+    console.error('webflow api error', { method, path, status: res.status, code: error.code, details });
+    if (res.status === 404) throw new WebflowNotFoundError(message, error.code, details);
+    if (isRetryableStatus(res.status)) throw new WebflowRetryableError(message, res.status, retryAfterMs, error.code);
+    if (res.status === 400 || res.status === 409 || res.status === 422) {
+      throw new WebflowValidationError(message, res.status, error.code, details);
+    }
+    throw new WebflowApiError(message, res.status, error.code, details);
+  }
+
+  async function* listItems(collectionId: string, { slug, cmsLocaleId }: WebflowListItemsOptions = {}): AsyncGenerator<WebflowItem> {
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const list = await request<WebflowItemList>(`/collections/${collectionId}/items`, {
+        query: { offset, limit: PAGE_SIZE, slug, cmsLocaleId }
+      });
+      const items = list.items ?? [];
+      yield* items;
+      const total = list.pagination?.total;
+      if (items.length < PAGE_SIZE || (total !== undefined && offset + items.length >= total)) return;
+    }
+  }
+
+  // The file itself goes straight to S3 with the presigned form fields Webflow hands back
+  async function uploadAsset(siteId: string, { fileName, bytes, md5, contentType }: WebflowAssetUpload): Promise<WebflowAsset> {
+    const asset = await request<WebflowAsset>(`/sites/${siteId}/assets`, {
+      method: 'POST',
+      body: { fileName, fileHash: md5 }
+    });
+    if (!asset.uploadUrl || !asset.hostedUrl) {
+      throw new WebflowApiError(`Webflow asset ${fileName} came back without an upload URL`, 200, undefined, []);
+    }
+
+    const form = new FormData();
+    for (const [key, value] of Object.entries(asset.uploadDetails ?? {})) form.append(key, value);
+    form.append('file', new Blob([bytes], { type: contentType }), fileName);
+    const upload = await fetchImpl(asset.uploadUrl, { method: 'POST', body: form });
+    if (!upload.ok) {
+      const message = `Webflow asset upload of ${fileName} failed with status ${upload.status}`;
+      console.error('webflow asset upload error', { status: upload.status, fileName });
+      if (isRetryableStatus(upload.status)) {
+        throw new WebflowRetryableError(message, upload.status, parseRetryAfter(upload.headers.get('retry-after')), undefined);
+      }
+      throw new WebflowApiError(message, upload.status, undefined, []);
+    }
+    return asset;
+  }
+
+  const itemsPath = (collectionId: string, { live = false }: WebflowWriteOptions) =>
+    `/collections/${collectionId}/items${live ? '/live' : ''}`;
+
+  return {
+    listItems,
+    listItemsPage: (collectionId: string, { offset = 0, limit = PAGE_SIZE }: { offset?: number; limit?: number } = {}) =>
+      request<WebflowItemList>(`/collections/${collectionId}/items`, { query: { offset, limit } }),
+    getItem: (collectionId: string, itemId: string) => request<WebflowItem>(`/collections/${collectionId}/items/${itemId}`),
+    createItem: (collectionId: string, item: WebflowItemInput, options: WebflowWriteOptions = {}) =>
+      request<WebflowItem>(itemsPath(collectionId, options), { method: 'POST', body: item }),
+    updateItem: (collectionId: string, itemId: string, item: Partial<WebflowItemInput>, options: WebflowWriteOptions = {}) =>
+      request<WebflowItem>(`/collections/${collectionId}/items/${itemId}${options.live ? '/live' : ''}`, {
+        method: 'PATCH',
+        body: item
+      }),
+    deleteItem: async (collectionId: string, itemId: string) => {
+      await request<unknown>(`/collections/${collectionId}/items/${itemId}`, { method: 'DELETE' });
+    },
+    // Takes the item off the published site and leaves the staged item in place
+    unpublishItem: async (collectionId: string, itemId: string) => {
+      await request<unknown>(`/collections/${collectionId}/items/${itemId}/live`, { method: 'DELETE' });
+    },
+    // Up to 100 items per call
+    createItems: (collectionId: string, items: WebflowItemInput[], options: WebflowWriteOptions = {}) =>
+      request<WebflowItemList>(itemsPath(collectionId, options), { method: 'POST', body: { items } }),
+    updateItems: (collectionId: string, items: WebflowItemUpdate[], options: WebflowWriteOptions = {}) =>
+      request<WebflowItemList>(itemsPath(collectionId, options), { method: 'PATCH', body: { items } }),
+    publishItems: (collectionId: string, itemIds: string[]) =>
+      request<WebflowPublishResult>(`/collections/${collectionId}/items/publish`, { method: 'POST', body: { itemIds } }),
+    getCollection: (collectionId: string) => request<WebflowCollection>(`/collections/${collectionId}`),
+    uploadAsset
+  };
+}
+
+export type WebflowClient = ReturnType<typeof createWebflowClient>;
+
+// Read per call: the queue consumer populates process.env after modules are loaded
+export function getWebflowClient(token = process.env.WEBFLOW_SITE_API_TOKEN || ''): WebflowClient {
+  return createWebflowClient({ token });
+}
@@ -0,0 +1,49 @@
+import { RetryableSyncError } from '@/lib/http-retry';
+
+// Webflow's error body: { code, message, externalReference, details }
+export type WebflowErrorBody = {
+  code?: string;
+  message?: string;
+  externalReference?: string | null;
+  details?: unknown[];
+};
+
+export class WebflowApiError extends Error {
+  constructor(
+    message: string,
+    readonly status: number,
+    readonly code: string | undefined,
+    readonly details: unknown[]
+  ) {
+    super(message);
+    this.name = 'WebflowApiError';
+  }
+}
+
+export class WebflowNotFoundError extends WebflowApiError {
+  constructor(message: string, code: string | undefined, details: unknown[]) {
+    super(message, 404, code, details);
+    this.name = 'WebflowNotFoundError';
+  }
+}
+
+// Webflow refused the item itself, e.g. a missing required field or a duplicate slug; retrying won't help
+export class WebflowValidationError extends WebflowApiError {
+  constructor(message: string, status: number, code: string | undefined, details: unknown[]) {
+    super(message, status, code, details);
+    this.name = 'WebflowValidationError';
+  }
+}
+
+// Rate limits and server errors that outlasted the client's own retries; the sync queue retries these
+export class WebflowRetryableError extends RetryableSyncError {
+  constructor(
+    message: string,
+    status: number,
+    retryAfterMs: number | undefined,
+    readonly code: string | undefined
+  ) {
+    super(message, status, retryAfterMs);
+    this.name = 'WebflowRetryableError';
+  }
+}
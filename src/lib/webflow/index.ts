@@ -0,0 +1,16 @@
+export {
+  createWebflowClient,
+  getWebflowClient,
+  type WebflowClient,
+  type WebflowClientOptions,
+  type WebflowWriteOptions
+} from '@/lib/webflow/client';
+export {
+  WebflowApiError,
+  WebflowNotFoundError,
+  WebflowRetryableError,
+  WebflowValidationError,
+  type WebflowErrorBody
+} from '@/lib/webflow/errors';
+export { createRateLimitGate, type RateLimitGate } from '@/lib/webflow/rate-limit';
+export type * from '@/lib/webflow/types';
@@ -0,0 +1,47 @@
+import { sleep as defaultSleep } from '@/lib/http-retry';
+
+export type RateLimitGate = {
+  // Resolves once the next request may go out
+  wait(): Promise<void>;
+  // Record the X-RateLimit-* headers of a response
+  update(headers: Headers): void;
+};
+
+export type RateLimitGateOptions = {
+  // Webflow counts requests per minute
+  windowMs?: number;
+  now?: () => number;
+  sleep?: (ms: number) => Promise<void>;
+};
+
+/**
+ * Follows the budget Webflow reports on every response. Once `X-RateLimit-Remaining` hits zero,
+ * requests are spaced one window slot (window / `X-RateLimit-Limit`) apart until a response shows
+ * requests left again, instead of running into 429s.
+ */
+export function createRateLimitGate(options: RateLimitGateOptions = {}): RateLimitGate {
+  const { windowMs = 60_000, now = () => Date.now(), sleep = defaultSleep } = options;
+  let resumeAt = 0;
+  let queue: Promise<void> = Promise.resolve();
+
+  const waitTurn = async () => {
+    const delayMs = resumeAt - now();
+    if (delayMs > 0) await sleep(delayMs);
+  };
+
+  return {
+    wait: () => {
+      queue = queue.then(waitTurn);
+      return queue;
+    },
+    update: headers => {
+      const limit = Number(headers.get('x-ratelimit-limit'));
+      const remaining = Number(headers.get('x-ratelimit-remaining') ?? NaN);
+      if (!Number.isFinite(remaining) || remaining > 0) {
+        resumeAt = 0;
+        return;
+      }
+      resumeAt = now() + (limit > 0 ? windowMs / limit : windowMs);
+    }
+  };
+}
@@ -0,0 +1,62 @@
+export type WebflowItem = {
+  id: string;
+  cmsLocaleId?: string;
+  isArchived?: boolean;
+  isDraft?: boolean;
+  createdOn?: string;
+  lastUpdated?: string;
+  lastPublished?: string | null;
+  fieldData?: Record<string, unknown>;
+};
+
+// What create and update accept; update sends only the fields given
+export type WebflowItemInput = {
+  isArchived?: boolean;
+  isDraft?: boolean;
+  cmsLocaleId?: string;
+  fieldData: Record<string, unknown>;
+};
+
+export type WebflowItemUpdate = Partial<WebflowItemInput> & { id: string };
+
+export type WebflowCollectionField = {
+  id: string;
+  slug: string;
+  displayName?: string;
+  type: string;
+  isRequired?: boolean;
+  validations?: { options?: { id: string; name: string }[] } & Record<string, unknown>;
+};
+
+export type WebflowCollection = {
+  id: string;
+  displayName?: string;
+  slug?: string;
+  fields: WebflowCollectionField[];
+};
+
+export type WebflowPagination = { limit: number; offset: number; total: number };
+
+export type WebflowItemList = { items: WebflowItem[]; pagination?: WebflowPagination };
+
+export type WebflowListItemsOptions = {
+  slug?: string;
+  cmsLocaleId?: string;
+};
+
+export type WebflowPublishResult = { publishedItemIds?: string[]; errors?: string[] };
+
+export type WebflowAssetUpload = {
+  fileName: string;
+  bytes: ArrayBuffer;
+  // Hex MD5 of the bytes; Webflow deduplicates assets by it
+  md5: string;
+  contentType: string;
+};
+
+export type WebflowAsset = {
+  id?: string;
+  uploadUrl?: string;
+  uploadDetails?: Record<string, string>;
+  hostedUrl?: string;
+};